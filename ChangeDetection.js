@@ -0,0 +1,472 @@
+/**
+ * Change detection between two survey dates of the same riverbed, run in a
+ * module Web Worker (runChangeDetection() starts it; this same file is the
+ * worker). No 'three' import, import maps do not apply to workers.
+ *
+ * Both clouds are flat Float32Array x, y, z positions in the same (scene
+ * frame) coordinates. For every point of the compared (newer) cloud a signed
+ * distance to the reference (older) cloud is computed:
+ *
+ *	c2c   cloud-to-cloud: distance to the nearest reference point, signed by
+ *	      the vertical difference
+ *	m3c2  M3C2 (Lague et al. 2013): the normal is fitted to the reference
+ *	      cloud around the point (cached per cell of normalScale / 2), then
+ *	      the mean positions of both clouds inside a cylinder of
+ *	      cylinderRadius along that normal are compared; the normal points up
+ *
+ * Positive = the bed rose (deposition, 淤积), negative = it dropped (erosion,
+ * 冲刷). Points without data within maxDistance get NaN.
+ *
+ * Worker messages: see PointWorker.js; args are [ reference, compared ],
+ * progress counts compared points done, the result is computeChange()'s.
+ */
+
+import { runInWorker, serveWorker, estimateSpacing } from './PointWorker.js';
+
+const PROGRESS_STEPS = 50;
+
+// 冲刷（负，红）→ 不变（白）→ 淤积（正，蓝），legend order bottom to top
+const DIVERGING_COLORS = [
+	'#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7',
+	'#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061',
+];
+
+// M3C2 needs this many points of each cloud in the cylinder
+const M3C2_MIN_POINTS = 3;
+
+/**
+ * options: { method: 'c2c' | 'm3c2', maxDistance, normalScale, cylinderRadius, minChange, onProgress }
+ * Spacing-based defaults are used for the scales that are not given.
+ *
+ * Returns { method, distance: Float32Array (NaN = no data), lod: Float32Array | null, params, stats }
+ * where lod is the M3C2 level of detection (95 %) and stats = { count, valid, mean, rms,
+ * min, max, p05, p95, erosion, deposition } (erosion / deposition: points beyond lod or minChange).
+ */
+function computeChange( reference, compared, options = {} ) {
+
+	const method = options.method === 'm3c2' ? 'm3c2' : 'c2c';
+	const nRef = Math.floor( reference.length / 3 );
+	const nCmp = Math.floor( compared.length / 3 );
+
+	if ( nRef === 0 || nCmp === 0 ) throw new Error( 'ChangeDetection: empty point cloud' );
+
+	const spacing = estimateSpacing( reference, nRef );
+	const maxDistance = options.maxDistance ?? 5;
+	const normalScale = options.normalScale ?? Math.max( 10 * spacing, 0.5 );
+	const cylinderRadius = options.cylinderRadius ?? normalScale / 2;
+	const minChange = options.minChange ?? 0;
+	const onProgress = options.onProgress || null;
+	const step = Math.max( 1, Math.floor( nCmp / PROGRESS_STEPS ) );
+
+	const distance = new Float32Array( nCmp );
+	const lod = method === 'm3c2' ? new Float32Array( nCmp ) : null;
+
+	if ( method === 'c2c' ) {
+
+		// a few rings of cells at most, whatever the point density
+		const grid = buildGrid( reference, nRef, Math.max( 2 * spacing, maxDistance / 6 ) );
+
+		for ( let i = 0; i < nCmp; i ++ ) {
+
+			distance[ i ] = nearestSigned( grid, compared[ i * 3 ], compared[ i * 3 + 1 ], compared[ i * 3 + 2 ], maxDistance );
+			if ( onProgress && i % step === 0 ) onProgress( i, nCmp );
+
+		}
+
+	} else {
+
+		const refGrid = buildGrid( reference, nRef, cylinderRadius );
+		const cmpGrid = buildGrid( compared, nCmp, cylinderRadius );
+		const normals = new Map();
+		const normalCell = normalScale / 2;
+		const n = [ 0, 0, 1 ];
+
+		for ( let i = 0; i < nCmp; i ++ ) {
+
+			const x = compared[ i * 3 ], y = compared[ i * 3 + 1 ], z = compared[ i * 3 + 2 ];
+
+			const kx = Math.floor( x / normalCell ), ky = Math.floor( y / normalCell ), kz = Math.floor( z / normalCell );
+			const key = ( kx + 50000 ) + 1e5 * ( ( ky + 50000 ) + 1e5 * ( kz + 50000 ) );
+			let normal = normals.get( key );
+			if ( ! normal ) {
+
+				normal = fitNormal( refGrid, ( kx + 0.5 ) * normalCell, ( ky + 0.5 ) * normalCell, ( kz + 0.5 ) * normalCell, normalScale / 2 );
+				normals.set( key, normal );
+
+			}
+
+			n[ 0 ] = normal[ 0 ]; n[ 1 ] = normal[ 1 ]; n[ 2 ] = normal[ 2 ];
+			const a = cylinderStats( refGrid, x, y, z, n, cylinderRadius, maxDistance );
+			const b = cylinderStats( cmpGrid, x, y, z, n, cylinderRadius, maxDistance );
+
+			if ( a.count >= M3C2_MIN_POINTS && b.count >= M3C2_MIN_POINTS ) {
+
+				distance[ i ] = b.mean - a.mean;
+				lod[ i ] = 1.96 * Math.sqrt( a.variance / a.count + b.variance / b.count );
+
+			} else {
+
+				distance[ i ] = NaN;
+				lod[ i ] = NaN;
+
+			}
+
+			if ( onProgress && i % step === 0 ) onProgress( i, nCmp );
+
+		}
+
+	}
+
+	if ( onProgress ) onProgress( nCmp, nCmp );
+
+	return {
+		method,
+		distance,
+		lod,
+		params: { spacing, maxDistance, normalScale, cylinderRadius, minChange },
+		stats: changeStats( distance, lod, minChange ),
+	};
+
+}
+
+/* ========= uniform grid ========= */
+
+// points bucketed by cell: order[ start[ slot ] .. start[ slot + 1 ] ) are the point indices of a cell
+function buildGrid( pos, n, cell ) {
+
+	let minX = Infinity, minY = Infinity, minZ = Infinity, maxX = - Infinity, maxY = - Infinity, maxZ = - Infinity;
+	for ( let i = 0; i < n; i ++ ) {
+
+		const x = pos[ i * 3 ], y = pos[ i * 3 + 1 ], z = pos[ i * 3 + 2 ];
+		if ( x < minX ) minX = x;
+		if ( x > maxX ) maxX = x;
+		if ( y < minY ) minY = y;
+		if ( y > maxY ) maxY = y;
+		if ( z < minZ ) minZ = z;
+		if ( z > maxZ ) maxZ = z;
+
+	}
+
+	const nx = Math.floor( ( maxX - minX ) / cell ) + 1;
+	const ny = Math.floor( ( maxY - minY ) / cell ) + 1;
+	const nz = Math.floor( ( maxZ - minZ ) / cell ) + 1;
+
+	const slots = new Map();
+	const slotOf = new Uint32Array( n );
+	const counts = [];
+
+	for ( let i = 0; i < n; i ++ ) {
+
+		const key = Math.floor( ( pos[ i * 3 ] - minX ) / cell ) + nx * ( Math.floor( ( pos[ i * 3 + 1 ] - minY ) / cell ) + ny * Math.floor( ( pos[ i * 3 + 2 ] - minZ ) / cell ) );
+		let slot = slots.get( key );
+		if ( slot === undefined ) {
+
+			slot = counts.length;
+			slots.set( key, slot );
+			counts.push( 0 );
+
+		}
+
+		slotOf[ i ] = slot;
+		counts[ slot ] ++;
+
+	}
+
+	const start = new Uint32Array( counts.length + 1 );
+	for ( let s = 0; s < counts.length; s ++ ) start[ s + 1 ] = start[ s ] + counts[ s ];
+
+	const fill = start.slice( 0, counts.length );
+	const order = new Uint32Array( n );
+	for ( let i = 0; i < n; i ++ ) order[ fill[ slotOf[ i ] ] ++ ] = i;
+
+	return { pos, cell, minX, minY, minZ, nx, ny, nz, slots, start, order };
+
+}
+
+// calls fn( pointIndex ) for the points in the cells overlapping the box
+function forEachInBox( grid, x0, y0, z0, x1, y1, z1, fn ) {
+
+	const { cell, minX, minY, minZ, nx, ny, nz, slots, start, order } = grid;
+	const ix0 = Math.max( 0, Math.floor( ( x0 - minX ) / cell ) ), ix1 = Math.min( nx - 1, Math.floor( ( x1 - minX ) / cell ) );
+	const iy0 = Math.max( 0, Math.floor( ( y0 - minY ) / cell ) ), iy1 = Math.min( ny - 1, Math.floor( ( y1 - minY ) / cell ) );
+	const iz0 = Math.max( 0, Math.floor( ( z0 - minZ ) / cell ) ), iz1 = Math.min( nz - 1, Math.floor( ( z1 - minZ ) / cell ) );
+
+	for ( let iz = iz0; iz <= iz1; iz ++ ) {
+
+		for ( let iy = iy0; iy <= iy1; iy ++ ) {
+
+			for ( let ix = ix0; ix <= ix1; ix ++ ) {
+
+				const slot = slots.get( ix + nx * ( iy + ny * iz ) );
+				if ( slot === undefined ) continue;
+				for ( let k = start[ slot ]; k < start[ slot + 1 ]; k ++ ) fn( order[ k ] );
+
+			}
+
+		}
+
+	}
+
+}
+
+/* ========= C2C ========= */
+
+// distance to the nearest grid point within maxDistance, + when (x, y, z) is above it; NaN when none
+function nearestSigned( grid, x, y, z, maxDistance ) {
+
+	const { pos, cell, minX, minY, minZ, nx, ny, nz, slots, start, order } = grid;
+	const cx = Math.floor( ( x - minX ) / cell ), cy = Math.floor( ( y - minY ) / cell ), cz = Math.floor( ( z - minZ ) / cell );
+	const rMax = Math.ceil( maxDistance / cell ) + 1;
+
+	let best = Infinity, bestZ = 0;
+
+	const visit = ( ix, iy, iz ) => {
+
+		if ( ix < 0 || iy < 0 || iz < 0 || ix >= nx || iy >= ny || iz >= nz ) return;
+		const slot = slots.get( ix + nx * ( iy + ny * iz ) );
+		if ( slot === undefined ) return;
+
+		for ( let k = start[ slot ]; k < start[ slot + 1 ]; k ++ ) {
+
+			const j = order[ k ] * 3;
+			const dx = pos[ j ] - x, dy = pos[ j + 1 ] - y, dz = pos[ j + 2 ] - z;
+			const d2 = dx * dx + dy * dy + dz * dz;
+			if ( d2 < best ) {
+
+				best = d2;
+				bestZ = pos[ j + 2 ];
+
+			}
+
+		}
+
+	};
+
+	for ( let r = 0; r <= rMax; r ++ ) {
+
+		// shell of cells at Chebyshev distance r
+		for ( let dz = - r; dz <= r; dz ++ ) {
+
+			for ( let dy = - r; dy <= r; dy ++ ) {
+
+				if ( Math.abs( dz ) === r || Math.abs( dy ) === r ) {
+
+					for ( let dx = - r; dx <= r; dx ++ ) visit( cx + dx, cy + dy, cz + dz );
+
+				} else {
+
+					visit( cx - r, cy + dy, cz + dz );
+					if ( r > 0 ) visit( cx + r, cy + dy, cz + dz );
+
+				}
+
+			}
+
+		}
+
+		// anything in the next shell is at least r cells away
+		if ( best <= ( r * cell ) * ( r * cell ) ) break;
+
+	}
+
+	if ( best > maxDistance * maxDistance ) return NaN;
+	const d = Math.sqrt( best );
+	return z >= bestZ ? d : - d;
+
+}
+
+/* ========= M3C2 ========= */
+
+// unit normal (z >= 0) of the grid points within radius of (x, y, z); vertical when there are too few
+function fitNormal( grid, x, y, z, radius ) {
+
+	const { pos } = grid;
+	const r2 = radius * radius;
+	let n = 0, sx = 0, sy = 0, sz = 0, sxx = 0, sxy = 0, sxz = 0, syy = 0, syz = 0, szz = 0;
+
+	forEachInBox( grid, x - radius, y - radius, z - radius, x + radius, y + radius, z + radius, ( i ) => {
+
+		// relative to the centre to keep the sums small
+		const dx = pos[ i * 3 ] - x, dy = pos[ i * 3 + 1 ] - y, dz = pos[ i * 3 + 2 ] - z;
+		if ( dx * dx + dy * dy + dz * dz > r2 ) return;
+		n ++;
+		sx += dx; sy += dy; sz += dz;
+		sxx += dx * dx; sxy += dx * dy; sxz += dx * dz;
+		syy += dy * dy; syz += dy * dz; szz += dz * dz;
+
+	} );
+
+	if ( n < 5 ) return [ 0, 0, 1 ];
+
+	const mx = sx / n, my = sy / n, mz = sz / n;
+	const cov = [
+		[ sxx / n - mx * mx, sxy / n - mx * my, sxz / n - mx * mz ],
+		[ sxy / n - mx * my, syy / n - my * my, syz / n - my * mz ],
+		[ sxz / n - mx * mz, syz / n - my * mz, szz / n - mz * mz ],
+	];
+
+	const v = smallestEigenvector( cov );
+	const len = Math.hypot( v[ 0 ], v[ 1 ], v[ 2 ] );
+	if ( ! ( len > 0 ) ) return [ 0, 0, 1 ];
+	const s = v[ 2 ] < 0 ? - 1 / len : 1 / len;
+	return [ v[ 0 ] * s, v[ 1 ] * s, v[ 2 ] * s ];
+
+}
+
+// cyclic Jacobi on a symmetric 3x3 matrix
+function smallestEigenvector( m ) {
+
+	const a = m.map( ( row ) => row.slice() );
+	const v = [ [ 1, 0, 0 ], [ 0, 1, 0 ], [ 0, 0, 1 ] ];
+
+	for ( let sweep = 0; sweep < 20; sweep ++ ) {
+
+		const off = Math.abs( a[ 0 ][ 1 ] ) + Math.abs( a[ 0 ][ 2 ] ) + Math.abs( a[ 1 ][ 2 ] );
+		if ( off < 1e-15 ) break;
+
+		for ( const [ p, q ] of [ [ 0, 1 ], [ 0, 2 ], [ 1, 2 ] ] ) {
+
+			if ( Math.abs( a[ p ][ q ] ) < 1e-18 ) continue;
+
+			const theta = ( a[ q ][ q ] - a[ p ][ p ] ) / ( 2 * a[ p ][ q ] );
+			const t = Math.sign( theta || 1 ) / ( Math.abs( theta ) + Math.sqrt( theta * theta + 1 ) );
+			const c = 1 / Math.sqrt( t * t + 1 ), s = t * c;
+
+			for ( let k = 0; k < 3; k ++ ) {
+
+				const akp = a[ k ][ p ], akq = a[ k ][ q ];
+				a[ k ][ p ] = c * akp - s * akq;
+				a[ k ][ q ] = s * akp + c * akq;
+
+			}
+
+			for ( let k = 0; k < 3; k ++ ) {
+
+				const apk = a[ p ][ k ], aqk = a[ q ][ k ];
+				a[ p ][ k ] = c * apk - s * aqk;
+				a[ q ][ k ] = s * apk + c * aqk;
+
+			}
+
+			for ( let k = 0; k < 3; k ++ ) {
+
+				const vkp = v[ k ][ p ], vkq = v[ k ][ q ];
+				v[ k ][ p ] = c * vkp - s * vkq;
+				v[ k ][ q ] = s * vkp + c * vkq;
+
+			}
+
+		}
+
+	}
+
+	let min = 0;
+	for ( let k = 1; k < 3; k ++ ) if ( a[ k ][ k ] < a[ min ][ min ] ) min = k;
+	return [ v[ 0 ][ min ], v[ 1 ][ min ], v[ 2 ][ min ] ];
+
+}
+
+// count / mean / variance of the positions along n of the grid points in the cylinder through (x, y, z)
+function cylinderStats( grid, x, y, z, n, radius, halfLength ) {
+
+	const { pos } = grid;
+	const r2 = radius * radius;
+	const ex = Math.abs( n[ 0 ] ) * halfLength + radius;
+	const ey = Math.abs( n[ 1 ] ) * halfLength + radius;
+	const ez = Math.abs( n[ 2 ] ) * halfLength + radius;
+
+	let count = 0, sum = 0, sum2 = 0;
+
+	forEachInBox( grid, x - ex, y - ey, z - ez, x + ex, y + ey, z + ez, ( i ) => {
+
+		const dx = pos[ i * 3 ] - x, dy = pos[ i * 3 + 1 ] - y, dz = pos[ i * 3 + 2 ] - z;
+		const along = dx * n[ 0 ] + dy * n[ 1 ] + dz * n[ 2 ];
+		if ( Math.abs( along ) > halfLength ) return;
+		if ( dx * dx + dy * dy + dz * dz - along * along > r2 ) return;
+		count ++;
+		sum += along;
+		sum2 += along * along;
+
+	} );
+
+	const mean = count ? sum / count : 0;
+	return { count, mean, variance: count ? Math.max( sum2 / count - mean * mean, 0 ) : 0 };
+
+}
+
+/* ========= statistics / colours ========= */
+
+function changeStats( distance, lod, minChange ) {
+
+	const valid = [];
+	let sum = 0, sum2 = 0, erosion = 0, deposition = 0;
+
+	for ( let i = 0; i < distance.length; i ++ ) {
+
+		const d = distance[ i ];
+		if ( Number.isNaN( d ) ) continue;
+		valid.push( d );
+		sum += d;
+		sum2 += d * d;
+
+		const threshold = lod ? Math.max( lod[ i ], minChange ) : minChange;
+		if ( d < - threshold ) erosion ++;
+		else if ( d > threshold ) deposition ++;
+
+	}
+
+	const n = valid.length;
+	if ( ! n ) return { count: distance.length, valid: 0, mean: NaN, rms: NaN, min: NaN, max: NaN, p05: NaN, p95: NaN, erosion: 0, deposition: 0 };
+
+	const sorted = Float32Array.from( valid ).sort();
+	const at = ( q ) => sorted[ Math.min( n - 1, Math.floor( q * n ) ) ];
+
+	return {
+		count: distance.length,
+		valid: n,
+		mean: sum / n,
+		rms: Math.sqrt( sum2 / n ),
+		min: sorted[ 0 ],
+		max: sorted[ n - 1 ],
+		p05: at( 0.05 ),
+		p95: at( 0.95 ),
+		erosion,
+		deposition,
+	};
+
+}
+
+// symmetric legend range covering the 5 – 95 % changes, rounded up to 1 / 2 / 5 × 10^k
+function divergingRange( stats ) {
+
+	const m = Math.max( Math.abs( stats.p05 ), Math.abs( stats.p95 ) );
+	if ( ! ( m > 0 ) ) return 0.1;
+	const p = Math.pow( 10, Math.floor( Math.log10( m ) ) );
+	for ( const f of [ 1, 2, 5, 10 ] ) if ( f * p >= m ) return f * p;
+	return 10 * p;
+
+}
+
+// index into DIVERGING_COLORS for a change within ±range; -1 for NaN
+function divergingClass( d, range ) {
+
+	if ( Number.isNaN( d ) ) return - 1;
+	const n = DIVERGING_COLORS.length;
+	const k = Math.floor( ( d + range ) / ( 2 * range ) * n );
+	return Math.min( n - 1, Math.max( 0, k ) );
+
+}
+
+/* ========= worker ========= */
+
+// Resolves with computeChange()'s result. The position arrays are transferred to the worker.
+function runChangeDetection( reference, compared, options = {}, onProgress ) {
+
+	return runInWorker( new URL( './ChangeDetection.js', import.meta.url ), computeChange, [ reference, compared ], options, onProgress,
+		[ reference.buffer, compared.buffer ] );
+
+}
+
+serveWorker( computeChange, ( result ) => result.lod ? [ result.distance.buffer, result.lod.buffer ] : [ result.distance.buffer ] );
+
+export { DIVERGING_COLORS, computeChange, runChangeDetection, divergingRange, divergingClass };
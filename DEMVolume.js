@@ -0,0 +1,130 @@
+/**
+ * 两期河床的冲淤体积：点云栅格化成同一张 DEM 网格，逐格求高差再累加
+ *
+ *   dz = H新 − H旧；冲刷体积 = Σ max(−dz, 0)·格面积，淤积体积 = Σ max(dz, 0)·格面积
+ *
+ * 一格的高程取“最低面”：先找格内最低点，再对不高于它 DEM_BAND 的点取平均。
+ * 全量点云里桥墩、桥面的点都在河床上方，这样不会把它们算进河床。
+ * 只有两期都有数据的格子参与计算，缺数据的格子单独计数。
+ *
+ * 坐标为场景坐标（米），不依赖 three。
+ */
+
+// 最低面厚度（m）：格内最低点往上这么厚的点参与平均
+const DEM_BAND = 0.3;
+
+// 网格格数上限，超过时自动放大格距
+const MAX_CELLS = 4e6;
+
+// 两期点云 XY 范围的并集上建网格 { x0, y0, cell, nx, ny }；cell 可能被放大
+function commonGrid(cell, ...clouds){
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for(const pos of clouds){
+    for(let i = 0; i < pos.length; i += 3){
+      const x = pos[i], y = pos[i + 1];
+      if(x < minX) minX = x;
+      if(x > maxX) maxX = x;
+      if(y < minY) minY = y;
+      if(y > maxY) maxY = y;
+    }
+  }
+  if(!(maxX >= minX)) throw new Error('点云为空，无法生成 DEM');
+
+  const span = (maxX - minX) * (maxY - minY);
+  if(span / (cell * cell) > MAX_CELLS) cell = Math.sqrt(span / MAX_CELLS);
+
+  return {
+    x0: minX, y0: minY, cell,
+    nx: Math.floor((maxX - minX) / cell) + 1,
+    ny: Math.floor((maxY - minY) / cell) + 1,
+  };
+}
+
+// 点云 → 每格高程（Float32Array，行优先 i + j·nx，无数据为 NaN）
+function rasterize(grid, pos){
+  const { x0, y0, cell, nx, ny } = grid;
+  const n = pos.length / 3;
+  const cellOf = new Int32Array(n);
+  const low = new Float32Array(nx * ny).fill(Infinity);
+
+  for(let k = 0; k < n; k++){
+    const i = Math.floor((pos[k * 3] - x0) / cell), j = Math.floor((pos[k * 3 + 1] - y0) / cell);
+    if(i < 0 || j < 0 || i >= nx || j >= ny){ cellOf[k] = -1; continue; }
+    const c = cellOf[k] = i + j * nx;
+    if(pos[k * 3 + 2] < low[c]) low[c] = pos[k * 3 + 2];
+  }
+
+  const sum = new Float64Array(nx * ny), count = new Uint32Array(nx * ny);
+  for(let k = 0; k < n; k++){
+    const c = cellOf[k];
+    if(c < 0) continue;
+    const z = pos[k * 3 + 2];
+    if(z <= low[c] + DEM_BAND){ sum[c] += z; count[c]++; }
+  }
+
+  const dem = new Float32Array(nx * ny);
+  for(let c = 0; c < dem.length; c++) dem[c] = count[c] ? sum[c] / count[c] : NaN;
+  return dem;
+}
+
+// 某一点 (x, y) 处的最低面高程：水平距离 radius 内的点按同样的“最低面”规则取平均，没有点为 NaN
+function surfaceZAt(pos, x, y, radius){
+  const r2 = radius * radius;
+  let low = Infinity;
+  for(let k = 0; k < pos.length; k += 3){
+    const dx = pos[k] - x, dy = pos[k + 1] - y;
+    if(dx * dx + dy * dy <= r2 && pos[k + 2] < low) low = pos[k + 2];
+  }
+  if(low === Infinity) return NaN;
+
+  let sum = 0, count = 0;
+  for(let k = 0; k < pos.length; k += 3){
+    const dx = pos[k] - x, dy = pos[k + 1] - y, z = pos[k + 2];
+    if(dx * dx + dy * dy <= r2 && z <= low + DEM_BAND){ sum += z; count++; }
+  }
+  return sum / count;
+}
+
+// 射线法；polygon 为 [[x,y], ...]（自动闭合）
+function pointInPolygon(x, y, polygon){
+  let inside = false;
+  for(let a = 0, b = polygon.length - 1; a < polygon.length; b = a++){
+    const [xa, ya] = polygon[a], [xb, yb] = polygon[b];
+    if((ya > y) !== (yb > y) && x < (xb - xa) * (y - ya) / (yb - ya) + xa) inside = !inside;
+  }
+  return inside;
+}
+
+// 冲淤体积：polygon 为 null 时取整个网格（按格中心判断是否在范围内）
+// → { cut, fill, net, area, cells, missing }，体积 m³、面积 m²；net = fill − cut（负为净冲刷）
+function cutFill(grid, demOld, demNew, polygon = null){
+  const { x0, y0, cell, nx, ny } = grid;
+  const a = cell * cell;
+  let cut = 0, fill = 0, cells = 0, missing = 0;
+
+  for(let j = 0; j < ny; j++){
+    for(let i = 0; i < nx; i++){
+      if(polygon && !pointInPolygon(x0 + (i + 0.5) * cell, y0 + (j + 0.5) * cell, polygon)) continue;
+      const c = i + j * nx;
+      const dz = demNew[c] - demOld[c];
+      if(Number.isNaN(dz)){
+        if(!Number.isNaN(demNew[c]) || !Number.isNaN(demOld[c])) missing++;
+        continue;
+      }
+      cells++;
+      if(dz < 0) cut -= dz * a;
+      else fill += dz * a;
+    }
+  }
+
+  return { cut, fill, net: fill - cut, area: cells * a, cells, missing };
+}
+
+export {
+  DEM_BAND,
+  commonGrid,
+  rasterize,
+  surfaceZAt,
+  pointInPolygon,
+  cutFill,
+};
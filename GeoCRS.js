@@ -0,0 +1,223 @@
+/**
+ * 坐标参考系（离线）：CGCS2000 高斯-克吕格投影 ↔ 经纬度，高程基准换算
+ *
+ * 场景在 index.json 里声明（也可写在桥梁条目上，同桥各期共用）：
+ *
+ *   "crs": "EPSG:4543",                              // 或 { "code": "EPSG:4543", "axis": "ne" }
+ *   "verticalDatum": {
+ *     "name": "1985国家高程基准",                     // 点云 Z 所在的高程基准
+ *     "alternatives": [ { "name": "吴淞高程", "offset": 1.8 } ]   // 换算：H' = H + offset
+ *   }
+ *
+ * 支持的 EPSG：
+ *   4490          CGCS2000 经纬度
+ *   4491–4501     CGCS2000 / 6 度带 13–23 带（东坐标带带号）
+ *   4502–4512     CGCS2000 / 6 度带 中央经线 75E–135E
+ *   4513–4533     CGCS2000 / 3 度带 25–45 带（东坐标带带号）
+ *   4534–4554     CGCS2000 / 3 度带 中央经线 75E–135E
+ *   4326          WGS84 经纬度
+ *   32601–32660 / 32701–32760   WGS84 / UTM 北/南半球
+ * 其它投影可直接给参数：{ "ellipsoid": "CGCS2000", "lon0": 102, "k0": 1, "falseEasting": 500000, "falseNorthing": 0 }
+ *
+ * axis：点云 x/y 对应 东/北（"en"，默认）；测绘习惯 X=北、Y=东 的数据写 "ne"。
+ *
+ * 投影用 Krüger 六阶级数（Karney 2011），在 3 度 / 6 度带内误差远小于 1 mm。
+ * CGCS2000 与 WGS84 椭球只差扁率末几位、框架差厘米级，这里经纬度直接当 WGS84 显示。
+ *
+ * 不依赖 three。
+ */
+
+const ELLIPSOIDS = {
+  CGCS2000: { a: 6378137, f: 1 / 298.257222101 },
+  WGS84:    { a: 6378137, f: 1 / 298.257223563 },
+};
+
+// EPSG 代码 → 投影参数
+function crsFromEPSG(code){
+  const cgcs = (lon0, fe, name) => ({ kind: 'projected', ellipsoid: 'CGCS2000', lon0, k0: 1, falseEasting: fe, falseNorthing: 0, name });
+
+  if(code === 4490) return { kind: 'geographic', ellipsoid: 'CGCS2000', name: 'CGCS2000 经纬度' };
+  if(code === 4326) return { kind: 'geographic', ellipsoid: 'WGS84', name: 'WGS84 经纬度' };
+
+  if(code >= 4491 && code <= 4501){
+    const zone = code - 4491 + 13;
+    return cgcs(zone * 6 - 3, zone * 1e6 + 500000, `CGCS2000 / 6度带 第${zone}带`);
+  }
+  if(code >= 4502 && code <= 4512){
+    const lon0 = 75 + (code - 4502) * 6;
+    return cgcs(lon0, 500000, `CGCS2000 / 6度带 中央经线 ${lon0}E`);
+  }
+  if(code >= 4513 && code <= 4533){
+    const zone = code - 4513 + 25;
+    return cgcs(zone * 3, zone * 1e6 + 500000, `CGCS2000 / 3度带 第${zone}带`);
+  }
+  if(code >= 4534 && code <= 4554){
+    const lon0 = 75 + (code - 4534) * 3;
+    return cgcs(lon0, 500000, `CGCS2000 / 3度带 中央经线 ${lon0}E`);
+  }
+  if((code >= 32601 && code <= 32660) || (code >= 32701 && code <= 32760)){
+    const south = code > 32700, zone = code % 100;
+    return { kind: 'projected', ellipsoid: 'WGS84', lon0: zone * 6 - 183, k0: 0.9996, falseEasting: 500000, falseNorthing: south ? 10000000 : 0, name: `WGS84 / UTM ${zone}${south ? 'S' : 'N'}` };
+  }
+  return null;
+}
+
+// index.json 里的 crs（"EPSG:4543" / 4543 / 参数对象）→ CRS；无法识别时抛错
+function parseCRS(def){
+  if(def == null || def === '') return null;
+
+  const obj = (typeof def === 'object') ? def : { code: def };
+  let crs = null;
+
+  if(obj.code != null){
+    const m = /^(?:EPSG:)?(\d+)$/i.exec(String(obj.code).trim());
+    crs = m ? crsFromEPSG(parseInt(m[1])) : null;
+    if(!crs) throw new Error('不支持的坐标系：' + obj.code);
+    crs.code = 'EPSG:' + m[1];
+  }else{
+    if(!ELLIPSOIDS[obj.ellipsoid || 'CGCS2000']) throw new Error('未知椭球：' + obj.ellipsoid);
+    if(!Number.isFinite(obj.lon0)) throw new Error('投影参数缺少中央经线 lon0');
+    crs = {
+      kind: 'projected',
+      ellipsoid: obj.ellipsoid || 'CGCS2000',
+      lon0: obj.lon0,
+      k0: obj.k0 ?? 1,
+      falseEasting: obj.falseEasting ?? 500000,
+      falseNorthing: obj.falseNorthing ?? 0,
+      name: obj.name || `${obj.ellipsoid || 'CGCS2000'} / TM ${obj.lon0}E`,
+      code: null,
+    };
+  }
+
+  const axis = String(obj.axis || 'en').toLowerCase();
+  if(axis !== 'en' && axis !== 'ne') throw new Error('axis 只能是 "en" 或 "ne"：' + obj.axis);
+  crs.axis = axis;
+
+  if(crs.kind === 'projected') crs.tm = createTM(ELLIPSOIDS[crs.ellipsoid], crs);
+  return crs;
+}
+
+/* ========= 横轴墨卡托（Krüger 级数） ========= */
+
+function createTM({ a, f }, { lon0, k0, falseEasting, falseNorthing }){
+  const n = f / (2 - f);
+  const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+  const e = Math.sqrt(f * (2 - f));
+  const A = a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+
+  const alpha = [
+    n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+    13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+    61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+    49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+    34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+    212378941 * n6 / 319334400,
+  ];
+  const beta = [
+    n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+    n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+    17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+    4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+    4583 * n5 / 161280 - 108847 * n6 / 3991680,
+    20648693 * n6 / 638668800,
+  ];
+
+  const D2R = Math.PI / 180;
+  const kA = k0 * A;
+
+  // 纬度 tan φ → 等角纬度 tan φ'
+  const tauPrime = (tau) => {
+    const s = Math.sqrt(1 + tau * tau);
+    const sig = Math.sinh(e * Math.atanh(e * tau / s));
+    return tau * Math.sqrt(1 + sig * sig) - sig * s;
+  };
+
+  return {
+    // 经纬度（度）→ 东、北（米）
+    forward(lat, lon){
+      const phi = lat * D2R, dl = (lon - lon0) * D2R;
+      const tp = tauPrime(Math.tan(phi));
+      const xi1 = Math.atan2(tp, Math.cos(dl));
+      const eta1 = Math.asinh(Math.sin(dl) / Math.sqrt(tp * tp + Math.cos(dl) ** 2));
+      let xi = xi1, eta = eta1;
+      for(let j = 1; j <= 6; j++){
+        xi += alpha[j - 1] * Math.sin(2 * j * xi1) * Math.cosh(2 * j * eta1);
+        eta += alpha[j - 1] * Math.cos(2 * j * xi1) * Math.sinh(2 * j * eta1);
+      }
+      return { e: falseEasting + kA * eta, n: falseNorthing + kA * xi };
+    },
+
+    // 东、北（米）→ 经纬度（度）
+    inverse(east, north){
+      const xi = (north - falseNorthing) / kA, eta = (east - falseEasting) / kA;
+      let xi1 = xi, eta1 = eta;
+      for(let j = 1; j <= 6; j++){
+        xi1 -= beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+        eta1 -= beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+      }
+      const tp = Math.sin(xi1) / Math.sqrt(Math.sinh(eta1) ** 2 + Math.cos(xi1) ** 2);
+      const dl = Math.atan2(Math.sinh(eta1), Math.cos(xi1));
+
+      // 等角纬度 → 纬度：牛顿迭代
+      const e2 = e * e;
+      let tau = tp;
+      for(let i = 0; i < 5; i++){
+        const t1 = tauPrime(tau);
+        const dtau = (tp - t1) / Math.sqrt(1 + t1 * t1) * (1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau));
+        tau += dtau;
+        if(Math.abs(dtau) < 1e-14) break;
+      }
+      return { lat: Math.atan(tau) / D2R, lon: lon0 + dl / D2R };
+    },
+  };
+}
+
+/* ========= 对外 ========= */
+
+// 点云绝对坐标 (x, y) → { east, north, lat, lon }；地理坐标系时 x/y 就是经纬度
+function toGeographic(crs, x, y){
+  const [east, north] = crs.axis === 'ne' ? [y, x] : [x, y];
+  if(crs.kind === 'geographic') return { east: null, north: null, lat: north, lon: east };
+  const { lat, lon } = crs.tm.inverse(east, north);
+  return { east, north, lat, lon };
+}
+
+// 经纬度 → 点云绝对坐标 { x, y }
+function fromGeographic(crs, lat, lon){
+  if(crs.kind === 'geographic') return crs.axis === 'ne' ? { x: lat, y: lon } : { x: lon, y: lat };
+  const { e, n } = crs.tm.forward(lat, lon);
+  return crs.axis === 'ne' ? { x: n, y: e } : { x: e, y: n };
+}
+
+// 高程基准：{ name, alternatives:[{name, offset}] } → 可选列表 [{ name, offset }]，第一个为原始基准（offset 0）
+function parseVerticalDatum(def){
+  if(def == null) return [{ name: '原始高程', offset: 0 }];
+  const obj = typeof def === 'string' ? { name: def } : def;
+  const list = [{ name: obj.name || '原始高程', offset: 0 }];
+  for(const it of obj.alternatives || []){
+    if(!it || !it.name || !Number.isFinite(it.offset)) throw new Error('高程基准换算项需要 name 和数值 offset：' + JSON.stringify(it));
+    list.push({ name: it.name, offset: it.offset });
+  }
+  return list;
+}
+
+// 30.5 → 30°30'00.000"N
+function formatDMS(deg, pos, neg, digits = 3){
+  const sign = deg < 0 ? neg : pos;
+  let v = Math.abs(deg);
+  let d = Math.floor(v);
+  let m = Math.floor((v - d) * 60);
+  let s = ((v - d) * 60 - m) * 60;
+  if(s.toFixed(digits) === (60).toFixed(digits)){ s = 0; m++; }
+  if(m === 60){ m = 0; d++; }
+  return `${d}°${String(m).padStart(2, '0')}'${s.toFixed(digits).padStart(digits + 3, '0')}"${sign}`;
+}
+
+export {
+  ELLIPSOIDS,
+  parseCRS,
+  toGeographic,
+  fromGeographic,
+  parseVerticalDatum,
+  formatDMS,
+};
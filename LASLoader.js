@@ -0,0 +1,369 @@
+import {
+	BufferAttribute,
+	BufferGeometry,
+	Color,
+	FileLoader,
+	Loader
+} from 'three';
+import { resolveOrigin } from './LocalOrigin.js';
+
+/**
+ * Description: A THREE loader for ASPRS LAS 1.0 – 1.4 point clouds (point data
+ * record formats 0 – 10). LAZ (LASzip compressed) files are read through a
+ * decompressor set with setLazDecompressor(), see createLazPerfDecompressor().
+ *
+ * Positions are X * scale + offset from the header, computed in double
+ * precision, shifted by a local origin (setOrigin(), or chosen from the header
+ * bounds, see LocalOrigin.js) and stored as float32; the origin used is
+ * geometry.userData.origin. Besides position (and color for formats
+ * 2, 3, 5, 7, 8, 10) the geometry gets the attributes
+ *
+ *	intensity       Uint16, 1 per point
+ *	classification  Uint8, 1 per point (ASPRS class code)
+ *	gpsTime         Float32, seconds since geometry.userData.las.gpsTimeOffset
+ *	                (formats with GPS time only; float64 cannot go to the GPU)
+ *
+ * and geometry.userData.las = { version, pointFormat, pointCount, scale, offset, min, max, gpsTimeOffset }.
+ *
+ * Usage:
+ *	const loader = new LASLoader();
+ *	loader.load( './data/…/cloud.las', function ( geometry ) {
+ *
+ *		scene.add( new THREE.Points( geometry ) );
+ *
+ *	} );
+ *
+ * parse( arrayBuffer ) works synchronously for LAS; LAZ needs parseAsync().
+ */
+
+const _color = new Color();
+
+// point data record format → [ standard record length, GPS time offset, RGB offset ] (-1 = not present)
+const POINT_FORMATS = [
+	[ 20, - 1, - 1 ],
+	[ 28, 20, - 1 ],
+	[ 26, - 1, 20 ],
+	[ 34, 20, 28 ],
+	[ 57, 20, - 1 ],
+	[ 63, 20, 28 ],
+	[ 30, 22, - 1 ],
+	[ 36, 22, 30 ],
+	[ 38, 22, 30 ],
+	[ 59, 22, - 1 ],
+	[ 67, 22, 30 ],
+];
+
+class LASLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.lazDecompressor = null;
+		this.origin = null;
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, function ( data ) {
+
+			scope.parseAsync( data ).then( onLoad, function ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			} );
+
+		}, onProgress, onError );
+
+	}
+
+	// decompressor( arrayBuffer, header ) → Promise<Uint8Array> of uncompressed point records
+	setLazDecompressor( decompressor ) {
+
+		this.lazDecompressor = decompressor;
+		return this;
+
+	}
+
+	// [ x, y, z ] subtracted from absolute coordinates; null = chosen per file
+	setOrigin( origin ) {
+
+		this.origin = origin ? [ origin[ 0 ], origin[ 1 ], origin[ 2 ] ] : null;
+		return this;
+
+	}
+
+	parse( data ) {
+
+		const header = parseHeader( data );
+
+		if ( header.compressed ) {
+
+			throw new Error( 'LASLoader: LAZ data must be loaded with load() or parseAsync()' );
+
+		}
+
+		const end = header.pointOffset + header.pointCount * header.recordLength;
+		const records = new Uint8Array( data, header.pointOffset, Math.min( end, data.byteLength ) - header.pointOffset );
+		return buildGeometry( header, records, this.origin );
+
+	}
+
+	async parseAsync( data ) {
+
+		const header = parseHeader( data );
+
+		if ( ! header.compressed ) return this.parse( data );
+
+		if ( ! this.lazDecompressor ) {
+
+			throw new Error( 'LASLoader: LAZ file but no decompressor, see setLazDecompressor()' );
+
+		}
+
+		return buildGeometry( header, await this.lazDecompressor( data, header ), this.origin );
+
+	}
+
+}
+
+function parseHeader( data ) {
+
+	if ( data.byteLength < 227 ) throw new Error( 'LASLoader: file too small for a LAS header' );
+
+	const dv = new DataView( data );
+	const signature = String.fromCharCode( dv.getUint8( 0 ), dv.getUint8( 1 ), dv.getUint8( 2 ), dv.getUint8( 3 ) );
+	if ( signature !== 'LASF' ) throw new Error( 'LASLoader: not a LAS file (missing LASF signature)' );
+
+	const versionMajor = dv.getUint8( 24 );
+	const versionMinor = dv.getUint8( 25 );
+	const headerSize = dv.getUint16( 94, true );
+	const formatByte = dv.getUint8( 104 );
+	const pointFormat = formatByte & 0x3f;
+
+	if ( pointFormat >= POINT_FORMATS.length ) throw new Error( 'LASLoader: unsupported point data record format ' + pointFormat );
+
+	let pointCount = dv.getUint32( 107, true );
+	if ( versionMinor >= 4 && headerSize >= 375 ) {
+
+		const count64 = Number( dv.getBigUint64( 247, true ) );
+		if ( count64 > 0 ) pointCount = count64;
+
+	}
+
+	const read3 = ( at ) => [ dv.getFloat64( at, true ), dv.getFloat64( at + 8, true ), dv.getFloat64( at + 16, true ) ];
+	const recordLength = dv.getUint16( 105, true );
+
+	if ( recordLength < POINT_FORMATS[ pointFormat ][ 0 ] ) {
+
+		throw new Error( `LASLoader: record length ${ recordLength } too short for point format ${ pointFormat }` );
+
+	}
+
+	return {
+		version: versionMajor + '.' + versionMinor,
+		pointFormat,
+		compressed: ( formatByte & 0x80 ) !== 0,
+		pointOffset: dv.getUint32( 96, true ),
+		recordLength,
+		pointCount,
+		scale: read3( 131 ),
+		offset: read3( 155 ),
+		// header stores max x, min x, max y, min y, max z, min z
+		min: [ dv.getFloat64( 187, true ), dv.getFloat64( 203, true ), dv.getFloat64( 219, true ) ],
+		max: [ dv.getFloat64( 179, true ), dv.getFloat64( 195, true ), dv.getFloat64( 211, true ) ],
+	};
+
+}
+
+function buildGeometry( header, records, preferredOrigin ) {
+
+	const stride = header.recordLength;
+	const [ , timeAt, rgbAt ] = POINT_FORMATS[ header.pointFormat ];
+	const extended = header.pointFormat >= 6;
+
+	let n = header.pointCount;
+	if ( records.byteLength < n * stride ) {
+
+		console.warn( `LASLoader: expected ${ n } points, file holds ${ Math.floor( records.byteLength / stride ) }` );
+		n = Math.floor( records.byteLength / stride );
+
+	}
+
+	const dv = new DataView( records.buffer, records.byteOffset, n * stride );
+	const [ sx, sy, sz ] = header.scale;
+	// header bounds are the representative point; some writers leave them zero, then use the first point
+	const first = n > 0 ? [ 0, 4, 8 ].map( ( at, c ) => dv.getInt32( at, true ) * header.scale[ c ] + header.offset[ c ] ) : header.min;
+	const origin = resolveOrigin( preferredOrigin, ...( header.min.some( ( v ) => v !== 0 ) ? header.min : first ) );
+	// fold the local origin into the header offset, still in double precision
+	const [ ox, oy, oz ] = header.offset.map( ( v, c ) => v - ( origin ? origin[ c ] : 0 ) );
+
+	const position = new Float32Array( n * 3 );
+	const intensity = new Uint16Array( n );
+	const classification = new Uint8Array( n );
+	const gpsTime = timeAt >= 0 ? new Float32Array( n ) : null;
+	const color = rgbAt >= 0 ? new Float32Array( n * 3 ) : null;
+	const gpsTimeOffset = ( gpsTime && n > 0 ) ? dv.getFloat64( timeAt, true ) : 0;
+
+	let maxColor = 0;
+
+	for ( let i = 0; i < n; i ++ ) {
+
+		const at = i * stride;
+		const i3 = i * 3;
+
+		position[ i3 ] = dv.getInt32( at, true ) * sx + ox;
+		position[ i3 + 1 ] = dv.getInt32( at + 4, true ) * sy + oy;
+		position[ i3 + 2 ] = dv.getInt32( at + 8, true ) * sz + oz;
+
+		intensity[ i ] = dv.getUint16( at + 12, true );
+		// formats 0-5 keep synthetic/key-point/withheld flags in the top 3 bits
+		classification[ i ] = extended ? dv.getUint8( at + 16 ) : ( dv.getUint8( at + 15 ) & 0x1f );
+
+		if ( gpsTime ) gpsTime[ i ] = dv.getFloat64( at + timeAt, true ) - gpsTimeOffset;
+
+		if ( color ) {
+
+			for ( let c = 0; c < 3; c ++ ) {
+
+				const v = dv.getUint16( at + rgbAt + c * 2, true );
+				color[ i3 + c ] = v;
+				if ( v > maxColor ) maxColor = v;
+
+			}
+
+		}
+
+	}
+
+	const geometry = new BufferGeometry();
+	geometry.setAttribute( 'position', new BufferAttribute( position, 3 ) );
+
+	if ( color ) {
+
+		// the spec says 16 bit, but many writers store 0-255
+		const range = maxColor > 255 ? 65535 : 255;
+
+		for ( let i3 = 0; i3 < color.length; i3 += 3 ) {
+
+			_color.setRGB( color[ i3 ] / range, color[ i3 + 1 ] / range, color[ i3 + 2 ] / range ).convertSRGBToLinear();
+			color[ i3 ] = _color.r;
+			color[ i3 + 1 ] = _color.g;
+			color[ i3 + 2 ] = _color.b;
+
+		}
+
+		geometry.setAttribute( 'color', new BufferAttribute( color, 3 ) );
+
+	}
+
+	geometry.setAttribute( 'intensity', new BufferAttribute( intensity, 1 ) );
+	geometry.setAttribute( 'classification', new BufferAttribute( classification, 1 ) );
+	if ( gpsTime ) geometry.setAttribute( 'gpsTime', new BufferAttribute( gpsTime, 1 ) );
+
+	geometry.userData.origin = origin;
+	geometry.userData.las = {
+		version: header.version,
+		pointFormat: header.pointFormat,
+		pointCount: n,
+		scale: header.scale,
+		offset: header.offset,
+		min: header.min,
+		max: header.max,
+		gpsTimeOffset,
+	};
+
+	geometry.computeBoundingSphere();
+
+	return geometry;
+
+}
+
+/**
+ * LAZ decompressor backed by laz-perf (https://github.com/hobuinc/laz-perf),
+ * imported on first use from `moduleUrl` (by default the copy next to this
+ * file, laz-perf.module.js with laz-perf.wasm beside it). Nothing is fetched
+ * for plain LAS files.
+ *
+ *	loader.setLazDecompressor( createLazPerfDecompressor() );
+ */
+function createLazPerfDecompressor( moduleUrl = new URL( './laz-perf.module.js', import.meta.url ) ) {
+
+	const url = new URL( moduleUrl, import.meta.url );
+	let ready = null;
+
+	return async function ( data, header ) {
+
+		if ( ! ready ) {
+
+			ready = import( url.href ).then( ( m ) => ( m.createLazPerf || m.default )( {
+				locateFile: ( file ) => new URL( file, url ).href, // the .wasm next to the module, not next to the page
+			} ) );
+			ready.catch( () => ready = null ); // allow retry once the file is in place
+
+		}
+
+		let LazPerf;
+		try {
+
+			LazPerf = await ready;
+
+		} catch ( e ) {
+
+			throw new Error( `LASLoader: cannot load laz-perf from ${ url.href } (${ e.message })` );
+
+		}
+
+		const bytes = new Uint8Array( data );
+		const filePtr = LazPerf._malloc( bytes.byteLength );
+		const pointPtr = LazPerf._malloc( header.recordLength );
+		const laszip = new LazPerf.LASZip();
+
+		try {
+
+			LazPerf.HEAPU8.set( bytes, filePtr );
+			laszip.open( filePtr, bytes.byteLength );
+
+			const n = Math.min( header.pointCount, laszip.getCount() );
+			const out = new Uint8Array( n * header.recordLength );
+
+			for ( let i = 0; i < n; i ++ ) {
+
+				laszip.getPoint( pointPtr );
+				out.set( LazPerf.HEAPU8.subarray( pointPtr, pointPtr + header.recordLength ), i * header.recordLength );
+
+			}
+
+			return out;
+
+		} finally {
+
+			laszip.delete();
+			LazPerf._free( pointPtr );
+			LazPerf._free( filePtr );
+
+		}
+
+	};
+
+}
+
+export { LASLoader, createLazPerfDecompressor };
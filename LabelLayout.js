@@ -0,0 +1,35 @@
+/**
+ * 屏幕标签避让：任意多个标签互相重叠时上下错开
+ *
+ * 输入每个标签在原位的屏幕矩形 { x, y, w, h }（像素，y 向下），返回每个标签的竖直偏移 dy。
+ * 按原位从上到下依次放置；与已放好的标签重叠时，在“原位 / 紧贴某个已放标签的上方或下方”
+ * 这些候选位置里取偏移最小且不重叠的一个。紧贴最下面那个已放标签的下方总是可行，所以一定有解。
+ *
+ * 不依赖 three / DOM。
+ */
+
+function overlaps(a, ay, b, pad){
+  return a.x < b.x + b.w && a.x + a.w > b.x && ay < b.y + b.h + pad && ay + a.h + pad > b.y;
+}
+
+function layoutLabels(boxes, pad = 2){
+  const dy = new Array(boxes.length).fill(0);
+  const placed = [];
+  const order = boxes.map((_, i) => i).sort((a, b) => boxes[a].y - boxes[b].y);
+
+  for(const i of order){
+    const b = boxes[i];
+    const cands = [0];
+    for(const p of placed){
+      if(b.x < p.x + p.w && b.x + b.w > p.x) cands.push(p.y + p.h + pad - b.y, p.y - pad - b.h - b.y);
+    }
+    cands.sort((u, v) => Math.abs(u) - Math.abs(v));
+    dy[i] = cands.find(d => !placed.some(p => overlaps(b, b.y + d, p, pad)));
+    placed.push({ x: b.x, y: b.y + dy[i], w: b.w, h: b.h });
+  }
+  return dy;
+}
+
+export {
+  layoutLabels,
+};
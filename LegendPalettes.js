@@ -0,0 +1,72 @@
+/**
+ * 图例色板 + 图例文件（*.legend.json）读写
+ *
+ * 图例文件格式（viewer 通过场景清单 assets.legend 读取）：
+ *
+ *   {
+ *     "min": 9.4, "max": 4.0, "unit": "m",          // min 在色带底端、max 在顶端（可以 min > max）
+ *     "quantity": "depth", "waterLevel": 1074.5,    // 可选，见 LegendShading.js
+ *     "stops": [ [0.00, "#0010a8"], ..., [1.00, "#e10000"] ]
+ *   }
+ *
+ * 不依赖 three。
+ */
+
+// 色板按从底端到顶端排列；cbSafe 为色盲友好
+const PALETTES = {
+  rainbow: { name: '彩虹', colors: ['#0010a8','#123fdf','#1491ff','#18cfff','#18fffb','#55ff13','#c7ff00','#ffd200','#ff7a00','#e10000'] },
+  viridis: { name: 'Viridis', cbSafe: true, colors: ['#440154','#482878','#3e4989','#31688e','#26828e','#1f9e89','#35b779','#6ece58','#b5de2b','#fde725'] },
+  cividis: { name: 'Cividis', cbSafe: true, colors: ['#00204c','#00336f','#39486b','#575c6d','#707173','#8a8779','#a69d75','#c4b56c','#e4cf5b','#ffea46'] },
+  rdylbu:  { name: '红-黄-蓝', cbSafe: true, colors: ['#a50026','#d73027','#f46d43','#fdae61','#fee090','#e0f3f8','#abd9e9','#74add1','#4575b4','#313695'] },
+  blues:   { name: '蓝色渐变', cbSafe: true, colors: ['#08306b','#08519c','#2171b5','#4292c6','#6baed6','#9ecae1','#c6dbef','#deebf7','#f7fbff'] },
+  gray:    { name: '灰度', cbSafe: true, colors: ['#000000','#ffffff'] },
+};
+
+const MIN_BANDS = 2;
+const MAX_BANDS = 16;
+
+// 颜色列表 → 等距 stops
+function colorsToStops(colors){
+  return colors.map((c, i) => [colors.length > 1 ? i / (colors.length - 1) : 0, c]);
+}
+
+const hexToRGB = (hex) => {
+  const v = parseInt(String(hex).replace('#', '').padEnd(6, '0').slice(0, 6), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+};
+const rgbToHex = (rgb) => '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+
+// 在 stops 上等距取 n 个颜色（sRGB 线性插值，与图例画布渐变一致）
+function samplePalette(stops, n){
+  const sorted = stops.slice().sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for(let k = 0; k < n; k++){
+    const t = n > 1 ? k / (n - 1) : 0;
+    let i = 1;
+    while(i < sorted.length - 1 && sorted[i][0] < t) i++;
+    const [p0, c0] = sorted[Math.max(0, i - 1)], [p1, c1] = sorted[Math.min(i, sorted.length - 1)];
+    const f = p1 > p0 ? Math.min(1, Math.max(0, (t - p0) / (p1 - p0))) : 0;
+    const a = hexToRGB(c0), b = hexToRGB(c1);
+    out.push(rgbToHex(a.map((v, j) => v + (b[j] - v) * f)));
+  }
+  return out;
+}
+
+// 图例 → 可保存的 JSON 文本，排版同现有的 cloud.legend.json（每个 stop 一行，位置两位小数）
+function legendFileJSON(spec){
+  const head = { min: spec.min, max: spec.max, unit: spec.unit || 'm' };
+  if(spec.quantity) head.quantity = spec.quantity;
+  if(spec.waterLevel != null) head.waterLevel = spec.waterLevel;
+  const fields = Object.entries(head).map(([k, v]) => `  ${JSON.stringify(k)}: ${JSON.stringify(v)}`);
+  const stops = spec.stops.map(([p, c]) => `    [${p.toFixed(2)}, ${JSON.stringify(c)}]`);
+  return '{\n' + fields.join(',\n') + ',\n  "stops": [\n' + stops.join(',\n') + '\n  ]\n}\n';
+}
+
+export {
+  PALETTES,
+  MIN_BANDS,
+  MAX_BANDS,
+  colorsToStops,
+  samplePalette,
+  legendFileJSON,
+};
@@ -0,0 +1,144 @@
+/**
+ * 图例着色：在 shader 里按每个顶点的绝对高程查 cloud.legend.json 的色带
+ *
+ * 绝对高程 = 世界 z / Z 向拉伸 + 场景原点 z（即按坐标转换/原点修正后的高程），
+ * 拉伸滑块、原点变化只改 uniform，不用重建几何体。图例可以声明量：
+ *
+ *   "quantity": "elevation"                       // 默认：值 = 高程
+ *   "quantity": "depth", "waterLevel": 1074.5     // 值 = 水位 − 高程（水深，向下为正）
+ *
+ * t = (值 − min) / (max − min) 截到 [0, 1]（min > max 时色带反向）。连续模式在 stops 之间插值，
+ * 分级模式把 [0, 1] 等分成 stops 个数的色段，与侧边图例的画法一致。插值在 sRGB 下做，与图例画布一致。
+ * 色带、拉伸、原点所有材质共用；连续 / 分级每个材质单独设（图层各自选着色方式）。
+ *
+ * 用法：
+ *   const shading = createLegendShading();
+ *   shading.setLegend(spec); shading.attach(material, 'continuous');    // 'discrete' 分级，'vertex' / false 还原顶点颜色
+ */
+
+import { Color, NoColorSpace } from 'three';
+
+const MAX_STOPS = 16;
+
+const VERTEX_PARS = /* glsl */`
+uniform float uLegendRef;
+uniform float uLegendSign;
+uniform float uLegendZScale;
+uniform float uLegendZOffset;
+varying float vLegendValue;
+`;
+
+const VERTEX_MAIN = /* glsl */`
+#include <begin_vertex>
+vLegendValue = uLegendRef + uLegendSign * ( ( modelMatrix * vec4( transformed, 1.0 ) ).z / uLegendZScale + uLegendZOffset );
+`;
+
+const FRAGMENT_PARS = /* glsl */`
+uniform float uLegendMin;
+uniform float uLegendMax;
+uniform int uLegendCount;
+uniform float uLegendPos[ ${MAX_STOPS} ];
+uniform vec3 uLegendColor[ ${MAX_STOPS} ];
+uniform bool uLegendDiscrete;
+varying float vLegendValue;
+
+vec3 legendSRGBToLinear( vec3 c ) {
+  return mix( c * 0.0773993808, pow( c * 0.9478672986 + 0.0521327014, vec3( 2.4 ) ), step( vec3( 0.04045 ), c ) );
+}
+
+vec3 legendColor( float v ) {
+  float t = clamp( ( v - uLegendMin ) / ( uLegendMax - uLegendMin ), 0.0, 1.0 );
+  if ( uLegendDiscrete ) {
+    int k = min( int( floor( t * float( uLegendCount ) ) ), uLegendCount - 1 );
+    return legendSRGBToLinear( uLegendColor[ k ] );
+  }
+  vec3 c = uLegendColor[ 0 ];
+  for ( int i = 1; i < ${MAX_STOPS}; i ++ ) {
+    if ( i >= uLegendCount ) break;
+    float p0 = uLegendPos[ i - 1 ];
+    float p1 = uLegendPos[ i ];
+    if ( t >= p0 ) c = mix( uLegendColor[ i - 1 ], uLegendColor[ i ], clamp( ( t - p0 ) / max( p1 - p0, 1e-6 ), 0.0, 1.0 ) );
+  }
+  return legendSRGBToLinear( c );
+}
+`;
+
+const FRAGMENT_MAIN = /* glsl */`
+#include <color_fragment>
+diffuseColor.rgb = legendColor( vLegendValue );
+`;
+
+// 图例 { min, max, stops:[[pos, "#rrggbb"], ...], quantity?, waterLevel? } → 着色器参数；除 uLegendDiscrete 外所有材质共用一套 uniform
+function createLegendShading(){
+  const uniforms = {
+    uLegendMin:      { value: 0 },
+    uLegendMax:      { value: 1 },
+    uLegendCount:    { value: 1 },
+    uLegendPos:      { value: new Float32Array(MAX_STOPS) },
+    uLegendColor:    { value: Array.from({ length: MAX_STOPS }, () => new Color()) },
+    uLegendRef:      { value: 0 },
+    uLegendSign:     { value: 1 },
+    uLegendZScale:   { value: 1 },
+    uLegendZOffset:  { value: 0 },
+  };
+
+  // 每个材质一个 onBeforeCompile，带上它自己的 uLegendDiscrete
+  const hooks = new WeakMap();
+  const hookFor = (material) => {
+    let hook = hooks.get(material);
+    if(!hook){
+      const discrete = { value: false };
+      hook = (shader) => {
+        Object.assign(shader.uniforms, uniforms, { uLegendDiscrete: discrete });
+        shader.vertexShader = VERTEX_PARS + shader.vertexShader.replace('#include <begin_vertex>', VERTEX_MAIN);
+        shader.fragmentShader = FRAGMENT_PARS + shader.fragmentShader.replace('#include <color_fragment>', FRAGMENT_MAIN);
+      };
+      hook.discrete = discrete;
+      hooks.set(material, hook);
+    }
+    return hook;
+  };
+
+  return {
+    uniforms,
+
+    setLegend(spec){
+      const stops = spec.stops.slice(0, MAX_STOPS);
+      if(!stops.length) throw new Error('图例没有 stops');
+      uniforms.uLegendMin.value = spec.min;
+      uniforms.uLegendMax.value = spec.max === spec.min ? spec.min + 1e-6 : spec.max;
+      uniforms.uLegendCount.value = stops.length;
+      stops.forEach(([pos, color], i) => {
+        uniforms.uLegendPos.value[i] = pos;
+        // 颜色按 sRGB 分量存，插值后在 shader 里再转线性
+        uniforms.uLegendColor.value[i].setStyle(color, NoColorSpace);
+      });
+      const depth = spec.quantity === 'depth';
+      uniforms.uLegendRef.value = depth ? (spec.waterLevel ?? 0) : 0;
+      uniforms.uLegendSign.value = depth ? -1 : 1;
+    },
+
+    // Z 向拉伸倍数、场景原点 z（绝对高程 = 世界 z / zScale + zOffset）
+    setFrame(zScale, zOffset){
+      uniforms.uLegendZScale.value = zScale || 1;
+      uniforms.uLegendZOffset.value = zOffset || 0;
+    },
+
+    // 给材质挂上 / 摘掉图例着色：mode 为 'continuous' / 'discrete'，'vertex' 或 false 还原顶点颜色
+    attach(material, mode){
+      const enabled = mode === 'continuous' || mode === 'discrete';
+      const hook = hookFor(material);
+      hook.discrete.value = mode === 'discrete';
+      const on = material.onBeforeCompile === hook;
+      if(on === enabled) return;
+      material.onBeforeCompile = enabled ? hook : () => {};
+      material.customProgramCacheKey = enabled ? () => 'legend-shading' : () => '';
+      material.needsUpdate = true;
+    },
+  };
+}
+
+export {
+  MAX_STOPS,
+  createLegendShading,
+};
@@ -0,0 +1,50 @@
+/**
+ * 本地原点（大地坐标 → GPU 坐标）
+ *
+ * 投影坐标动辄几十万～几百万米（如 604570, 3317824），直接存进 float32 只剩
+ * 0.25～0.5 m 的精度，点云会“抖”。所以加载器用双精度读坐标，先减去一个本地原点
+ * 再写进 Float32Array，并把原点记在 geometry.userData.origin 上：
+ *
+ *    绝对坐标 = 本地坐标 + origin
+ *
+ * 坐标本来就是本地的小数值（历史 PLY，配 zuobiaozhuanhuan.txt 的 Δ）时不平移，origin 为 null。
+ *
+ * 不依赖 three，PLYWorker.js（Worker 内）和 Node 脚本也能用。
+ */
+
+// 任一分量的绝对值达到该值就认为是投影/大地坐标，需要减原点
+const ABSOLUTE_COORD_THRESHOLD = 1e5;
+
+// 自动原点取整到 1 km，读数和文件名里好认
+const AUTO_ORIGIN_STEP = 1000;
+
+function isAbsoluteCoord(x, y, z){
+  return Math.abs(x) >= ABSOLUTE_COORD_THRESHOLD || Math.abs(y) >= ABSOLUTE_COORD_THRESHOLD || Math.abs(z) >= ABSOLUTE_COORD_THRESHOLD;
+}
+
+// 以一个代表点（第一个点 / 包围盒最小角）取整得到原点；高程量级小时 z 不平移
+function autoOrigin(x, y, z){
+  const snap = (v) => Math.abs(v) >= ABSOLUTE_COORD_THRESHOLD ? Math.floor(v / AUTO_ORIGIN_STEP) * AUTO_ORIGIN_STEP : 0;
+  return [snap(x), snap(y), snap(z)];
+}
+
+// 决定一个文件要减的原点：代表点不是绝对坐标 → null（不平移）；
+// 否则用 preferred（场景指定 / 已在用的原点），没有就自动取
+function resolveOrigin(preferred, x, y, z){
+  if(!isAbsoluteCoord(x, y, z)) return null;
+  return preferred ? [preferred[0], preferred[1], preferred[2]] : autoOrigin(x, y, z);
+}
+
+// index.json 里的 origin：[x,y,z] 或 "x,y,z"；无效返回 null
+function parseOrigin(v){
+  const a = Array.isArray(v) ? v.map(Number) : typeof v === 'string' ? v.split(/[,\s]+/).filter(Boolean).map(Number) : null;
+  return a && a.length === 3 && a.every(Number.isFinite) ? a : null;
+}
+
+export {
+  ABSOLUTE_COORD_THRESHOLD,
+  isAbsoluteCoord,
+  autoOrigin,
+  resolveOrigin,
+  parseOrigin,
+};
@@ -3,7 +3,8 @@ import {
 	FileLoader,
 	Float32BufferAttribute,
 	Loader,
-	Color
+	Color,
+	Uint8BufferAttribute
 } from 'three';
 
 /**
@@ -40,6 +41,10 @@ import {
  *	customAttribute: ['custom_property_a', 'custom_property_b'],
  * } );
  *
+ * A per-vertex point class (“classification”, “class” or CloudCompare's
+ * “scalar_Classification”, ASPRS LAS codes) is read into a Uint8 attribute
+ * named “classification”, as LASLoader does.
+ *
  */
 
 const _color = new Color();
@@ -285,6 +290,7 @@ class PLYLoader extends Loader {
 			  uvs: [],
 			  faceVertexUvs: [],
 			  colors: [],
+			  classes: [],
 			  faceVertexColors: []
 			};
 
@@ -332,6 +338,7 @@ class PLYLoader extends Loader {
 				attrR: findAttrName( [ 'red', 'diffuse_red', 'r', 'diffuse_r' ] ),
 				attrG: findAttrName( [ 'green', 'diffuse_green', 'g', 'diffuse_g' ] ),
 				attrB: findAttrName( [ 'blue', 'diffuse_blue', 'b', 'diffuse_b' ] ),
+				attrClass: findAttrName( [ 'classification', 'class', 'scalar_classification', 'scalar_Classification' ] ),
 			};
 
 		}
@@ -412,6 +419,12 @@ class PLYLoader extends Loader {
 
 			}
 
+			if ( buffer.classes.length > 0 ) {
+
+				geometry.setAttribute( 'classification', new Uint8BufferAttribute( buffer.classes, 1 ) );
+
+			}
+
 			if ( buffer.faceVertexUvs.length > 0 || buffer.faceVertexColors.length > 0 ) {
 
 				geometry = geometry.toNonIndexed();
@@ -475,6 +488,12 @@ class PLYLoader extends Loader {
 
 				}
 
+				if ( cacheEntry.attrClass !== null ) {
+
+					buffer.classes.push( element[ cacheEntry.attrClass ] );
+
+				}
+
 				for ( const customProperty of Object.keys( scope.customPropertyMapping ) ) {
 
 					for ( const elementProperty of scope.customPropertyMapping[ customProperty ] ) {
@@ -0,0 +1,372 @@
+import {
+	Box3,
+	BufferAttribute,
+	BufferGeometry,
+	Sphere,
+	Vector3
+} from 'three';
+import { extractHeader, parseHeader, mapElementAttributes, srgbToLinear, TYPE_INFO } from './PLYWorker.js';
+import { PLYWorkerLoader } from './PLYWorkerLoader.js';
+import { resolveOrigin } from './LocalOrigin.js';
+
+/**
+ * Description: Progressive PLY loader. For binary_little_endian files whose only
+ * element is `vertex` (point clouds), vertices are decoded as the response body
+ * streams in and appended to one pre-allocated BufferGeometry whose drawRange
+ * grows, so the cloud appears while it is still downloading.
+ *
+ * Any other PLY (ASCII, big endian, meshes with faces) is buffered completely and
+ * handed to PLYWorkerLoader, so callers can use this loader unconditionally.
+ *
+ * Usage:
+ *	const loader = new PLYStreamLoader();
+ *	loader.load( url, function ( geometry ) {
+ *
+ *		// finished (same geometry object that onChunk received)
+ *
+ *	}, onProgress, onError, function ( geometry, vertexCount ) {
+ *
+ *		// more vertices available; first call is the moment to add the object and fit the camera
+ *
+ *	} );
+ *
+ * geometry.boundingBox / boundingSphere are kept up to date for the loaded part.
+ * Absolute coordinates are shifted by the local origin as in PLYWorkerLoader;
+ * geometry.userData.origin is known from the first chunk on.
+ */
+
+const _ucharToLinear = new Float32Array( 256 );
+for ( let i = 0; i < 256; i ++ ) _ucharToLinear[ i ] = srgbToLinear( i / 255 );
+
+const HEADER_LIMIT = 65536;
+
+class PLYStreamLoader extends PLYWorkerLoader {
+
+	load( url, onLoad, onProgress, onError, onChunk ) {
+
+		const scope = this;
+		const fail = ( e ) => {
+
+			if ( onError ) onError( e ); else console.error( e );
+			scope.manager.itemError( url );
+
+		};
+
+		if ( this.path !== undefined ) url = this.path + url;
+		url = this.manager.resolveURL( url );
+		this.manager.itemStart( url );
+
+		fetch( url, {
+			headers: this.requestHeader,
+			credentials: this.withCredentials ? 'include' : 'same-origin',
+		} ).then( async ( response ) => {
+
+			if ( ! response.ok ) throw new Error( `PLYStreamLoader: ${ response.status } ${ response.statusText } (${ url })` );
+
+			const total = parseInt( response.headers.get( 'Content-Length' ) ) || 0;
+
+			// no streaming support: plain download + worker parse
+			if ( ! response.body || ! response.body.getReader ) {
+
+				const data = await response.arrayBuffer();
+				if ( onProgress ) onProgress( { loaded: data.byteLength, total: data.byteLength, lengthComputable: true } );
+				return scope.parse( data );
+
+			}
+
+			return scope._stream( response.body.getReader(), total, onProgress, onChunk );
+
+		} ).then( ( geometry ) => {
+
+			onLoad( geometry );
+			scope.manager.itemEnd( url );
+
+		}, ( e ) => {
+
+			fail( e );
+			scope.manager.itemEnd( url );
+
+		} );
+
+	}
+
+	async _stream( reader, total, onProgress, onChunk ) {
+
+		let loaded = 0;
+		let head = new Uint8Array( 0 ); // bytes before the header is complete
+		let state = null; // set once the header is known and the file is streamable
+		const fallbackChunks = [];
+
+		for ( ;; ) {
+
+			const { done, value } = await reader.read();
+			if ( done ) break;
+
+			loaded += value.byteLength;
+			if ( onProgress ) onProgress( { loaded, total, lengthComputable: total > 0 } );
+
+			if ( state ) {
+
+				this._consume( state, value );
+				if ( onChunk ) onChunk( state.geometry, state.count );
+				continue;
+
+			}
+
+			if ( fallbackChunks.length ) {
+
+				fallbackChunks.push( value );
+				continue;
+
+			}
+
+			head = concat( head, value );
+			const headerEnd = findHeaderEnd( head );
+
+			if ( headerEnd < 0 ) {
+
+				if ( head.byteLength > HEADER_LIMIT ) throw new Error( 'PLYStreamLoader: end_header not found' );
+				continue;
+
+			}
+
+			const { headerText, headerLength } = extractHeader( head );
+			const header = parseHeader( headerText, this.propertyNameMapping );
+
+			if ( ! isStreamable( header ) ) {
+
+				fallbackChunks.push( head );
+				continue;
+
+			}
+
+			state = this._createState( header );
+			this._consume( state, head.subarray( headerLength ) );
+			if ( onChunk ) onChunk( state.geometry, state.count );
+
+		}
+
+		if ( state ) {
+
+			if ( state.count < state.total ) console.warn( `PLYStreamLoader: expected ${ state.total } vertices, got ${ state.count }` );
+			return state.geometry;
+
+		}
+
+		if ( ! fallbackChunks.length ) fallbackChunks.push( head );
+		const all = fallbackChunks.reduce( concat, new Uint8Array( 0 ) );
+		return this.parse( ( all.byteOffset === 0 && all.byteLength === all.buffer.byteLength ) ? all.buffer : all.slice().buffer );
+
+	}
+
+	_createState( header ) {
+
+		const vertex = header.elements[ 0 ];
+		const props = vertex.properties;
+		const map = mapElementAttributes( props );
+		const n = vertex.count;
+
+		let stride = 0;
+		const offsets = props.map( ( p ) => {
+
+			const o = stride;
+			stride += TYPE_INFO[ p.type ][ 1 ];
+			return o;
+
+		} );
+
+		const reader = ( i ) => i >= 0 ? { get: TYPE_INFO[ props[ i ].type ][ 0 ], offset: offsets[ i ], type: props[ i ].type } : null;
+
+		const geometry = new BufferGeometry();
+		const position = new BufferAttribute( new Float32Array( n * 3 ), 3 );
+		geometry.setAttribute( 'position', position );
+
+		let color = null;
+		if ( map.r >= 0 && map.g >= 0 && map.b >= 0 ) {
+
+			color = new BufferAttribute( new Float32Array( n * 3 ), 3 );
+			geometry.setAttribute( 'color', color );
+
+		}
+
+		let normal = null;
+		if ( map.nx >= 0 && map.ny >= 0 && map.nz >= 0 ) {
+
+			normal = new BufferAttribute( new Float32Array( n * 3 ), 3 );
+			geometry.setAttribute( 'normal', normal );
+
+		}
+
+		let classification = null;
+		if ( map.cls >= 0 ) {
+
+			classification = new BufferAttribute( new Uint8Array( n ), 1 );
+			geometry.setAttribute( 'classification', classification );
+
+		}
+
+		const custom = [];
+		for ( const name of Object.keys( this.customPropertyMapping ) ) {
+
+			const idx = this.customPropertyMapping[ name ].map( ( p ) => props.findIndex( ( q ) => q.name === p ) );
+			if ( ! idx.every( ( i ) => i >= 0 ) ) continue;
+			const attr = new BufferAttribute( new Float32Array( n * idx.length ), idx.length );
+			geometry.setAttribute( name, attr );
+			custom.push( { attr, readers: idx.map( reader ) } );
+
+		}
+
+		geometry.setDrawRange( 0, 0 );
+		geometry.boundingBox = new Box3();
+		geometry.boundingSphere = new Sphere();
+		geometry.userData.origin = null;
+
+		return {
+			geometry, position, color, normal, classification, custom,
+			total: n,
+			count: 0,
+			stride,
+			shift: null, // decided at the first vertex
+			pending: new Uint8Array( 0 ),
+			xyz: [ reader( map.x ), reader( map.y ), reader( map.z ) ],
+			rgb: color ? [ reader( map.r ), reader( map.g ), reader( map.b ) ] : null,
+			nrm: normal ? [ reader( map.nx ), reader( map.ny ), reader( map.nz ) ] : null,
+			cls: reader( map.cls ),
+		};
+
+	}
+
+	// decode every complete vertex in pending + bytes, keep the remainder
+	_consume( state, bytes ) {
+
+		const data = state.pending.byteLength ? concat( state.pending, bytes ) : bytes;
+		const room = state.total - state.count;
+		const whole = Math.min( room, Math.floor( data.byteLength / state.stride ) );
+
+		if ( whole > 0 ) {
+
+			const dv = new DataView( data.buffer, data.byteOffset, whole * state.stride );
+			const start = state.count;
+			const pos = state.position.array;
+			const box = state.geometry.boundingBox;
+
+			for ( let k = 0; k < whole; k ++ ) {
+
+				const at = k * state.stride;
+				const i3 = ( start + k ) * 3;
+
+				if ( ! state.shift ) {
+
+					const [ rx, ry, rz ] = state.xyz;
+					const origin = resolveOrigin( this.origin, dv[ rx.get ]( at + rx.offset, true ), dv[ ry.get ]( at + ry.offset, true ), dv[ rz.get ]( at + rz.offset, true ) );
+					state.geometry.userData.origin = origin;
+					state.shift = origin || [ 0, 0, 0 ];
+
+				}
+
+				for ( let c = 0; c < 3; c ++ ) {
+
+					const r = state.xyz[ c ];
+					pos[ i3 + c ] = dv[ r.get ]( at + r.offset, true ) - state.shift[ c ];
+
+				}
+
+				if ( state.rgb ) {
+
+					const col = state.color.array;
+					for ( let c = 0; c < 3; c ++ ) {
+
+						const r = state.rgb[ c ];
+						const v = dv[ r.get ]( at + r.offset, true );
+						col[ i3 + c ] = ( r.type === 'uchar' || r.type === 'uint8' ) ? _ucharToLinear[ v ] : srgbToLinear( v / 255 );
+
+					}
+
+				}
+
+				if ( state.nrm ) {
+
+					const nrm = state.normal.array;
+					for ( let c = 0; c < 3; c ++ ) {
+
+						const r = state.nrm[ c ];
+						nrm[ i3 + c ] = dv[ r.get ]( at + r.offset, true );
+
+					}
+
+				}
+
+				if ( state.classification ) state.classification.array[ start + k ] = dv[ state.cls.get ]( at + state.cls.offset, true );
+
+				for ( const { attr, readers } of state.custom ) {
+
+					const size = readers.length;
+					for ( let c = 0; c < size; c ++ ) attr.array[ ( start + k ) * size + c ] = dv[ readers[ c ].get ]( at + readers[ c ].offset, true );
+
+				}
+
+				box.expandByPoint( _v.set( pos[ i3 ], pos[ i3 + 1 ], pos[ i3 + 2 ] ) );
+
+			}
+
+			state.count += whole;
+			markUpdated( state.position, start, whole );
+			if ( state.color ) markUpdated( state.color, start, whole );
+			if ( state.normal ) markUpdated( state.normal, start, whole );
+			if ( state.classification ) markUpdated( state.classification, start, whole );
+			for ( const { attr } of state.custom ) markUpdated( attr, start, whole );
+
+			state.geometry.setDrawRange( 0, state.count );
+			box.getBoundingSphere( state.geometry.boundingSphere );
+
+		}
+
+		state.pending = ( whole < room ) ? data.slice( whole * state.stride ) : new Uint8Array( 0 );
+
+	}
+
+}
+
+const _v = new Vector3();
+
+// only upload the vertices that just arrived; ranges queue up until the next
+// render, which uploads them all and clears the list itself
+function markUpdated( attr, start, count ) {
+
+	attr.addUpdateRange( start * attr.itemSize, count * attr.itemSize );
+	attr.needsUpdate = true;
+
+}
+
+function isStreamable( header ) {
+
+	return header.format === 'binary_little_endian'
+		&& header.elements.length === 1
+		&& header.elements[ 0 ].name === 'vertex'
+		&& header.elements[ 0 ].properties.every( ( p ) => p.type !== 'list' );
+
+}
+
+// index just past "end_header" + line break, or -1 while the header is incomplete
+function findHeaderEnd( bytes ) {
+
+	const text = new TextDecoder( 'latin1' ).decode( bytes.subarray( 0, Math.min( bytes.byteLength, HEADER_LIMIT + 16 ) ) );
+	const i = text.indexOf( 'end_header' );
+	if ( i < 0 ) return - 1;
+	const j = i + 'end_header'.length;
+	// need the bytes after end_header to know whether a line break (\r\n) follows
+	return ( j + 1 < bytes.byteLength ) ? j : - 1;
+
+}
+
+function concat( a, b ) {
+
+	if ( ! a.byteLength ) return b;
+	const out = new Uint8Array( a.byteLength + b.byteLength );
+	out.set( a, 0 );
+	out.set( b, a.byteLength );
+	return out;
+
+}
+
+export { PLYStreamLoader };
@@ -0,0 +1,553 @@
+/**
+ * PLY parser that runs inside a module Web Worker (see PLYWorkerLoader.js).
+ *
+ * Parses ASCII and binary PLY straight into typed arrays, so nothing is
+ * accumulated in plain JS arrays and the result can be transferred back to
+ * the main thread without copying. Only relative imports: import maps do not
+ * apply to workers, so this file must not depend on 'three'.
+ *
+ * Absolute (projected) coordinates are shifted by a local origin in double
+ * precision before they are stored as float32, see LocalOrigin.js.
+ *
+ * Message in:  { data: ArrayBuffer, propertyNameMapping, customPropertyMapping, origin }
+ * Messages out:
+ *	{ type: 'progress', loaded, total }            // elements parsed so far
+ *	{ type: 'done', result }                       // see parsePLY()
+ *	{ type: 'error', message }
+ *
+ * Differences from PLYLoader: polygons with more than four vertices are
+ * fan-triangulated, per-face colours and texcoords are ignored.
+ *
+ * A per-vertex point class (ASPRS LAS codes) is read as in PLYLoader, from the
+ * first of CLASSIFICATION_NAMES the file has.
+ */
+
+import { resolveOrigin } from './LocalOrigin.js';
+
+const PROGRESS_STEPS = 50;
+
+// sRGB → linear, same as Color.convertSRGBToLinear() in PLYLoader
+function srgbToLinear( c ) {
+
+	return ( c < 0.04045 ) ? c * 0.0773993808 : Math.pow( c * 0.9478672986 + 0.0521327014, 2.4 );
+
+}
+
+const _ucharToLinear = new Float32Array( 256 );
+for ( let i = 0; i < 256; i ++ ) _ucharToLinear[ i ] = srgbToLinear( i / 255 );
+
+const TYPE_INFO = {
+	char: [ 'getInt8', 1 ], int8: [ 'getInt8', 1 ],
+	uchar: [ 'getUint8', 1 ], uint8: [ 'getUint8', 1 ],
+	short: [ 'getInt16', 2 ], int16: [ 'getInt16', 2 ],
+	ushort: [ 'getUint16', 2 ], uint16: [ 'getUint16', 2 ],
+	int: [ 'getInt32', 4 ], int32: [ 'getInt32', 4 ],
+	uint: [ 'getUint32', 4 ], uint32: [ 'getUint32', 4 ],
+	float: [ 'getFloat32', 4 ], float32: [ 'getFloat32', 4 ],
+	double: [ 'getFloat64', 8 ], float64: [ 'getFloat64', 8 ],
+};
+
+// property names of the point class, CloudCompare exports scalar fields as scalar_<name>
+const CLASSIFICATION_NAMES = [ 'classification', 'class', 'scalar_classification', 'scalar_Classification' ];
+
+const INT_TYPES = new Set( [ 'char', 'uchar', 'short', 'ushort', 'int', 'uint', 'int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32' ] );
+
+// Byte-exact search for "end_header" (tolerates junk in the header and no trailing newline)
+function extractHeader( bytes ) {
+
+	const target = [ 101, 110, 100, 95, 104, 101, 97, 100, 101, 114 ];
+	let hit = 0, end = - 1;
+
+	for ( let i = 0; i < bytes.length; i ++ ) {
+
+		if ( bytes[ i ] === target[ hit ] ) {
+
+			hit ++;
+			if ( hit === target.length ) {
+
+				end = i + 1;
+				break;
+
+			}
+
+		} else {
+
+			hit = ( bytes[ i ] === target[ 0 ] ) ? 1 : 0;
+
+		}
+
+	}
+
+	if ( end < 0 ) throw new Error( 'PLYWorker: end_header not found' );
+
+	let text = '';
+	for ( let i = 0; i < end; i ++ ) {
+
+		const c = bytes[ i ];
+		text += ( c >= 32 && c <= 126 ) ? String.fromCharCode( c ) : '\n';
+
+	}
+
+	// skip the line break that ends the header
+	if ( bytes[ end ] === 13 ) end ++;
+	if ( bytes[ end ] === 10 ) end ++;
+
+	return { headerText: text, headerLength: end };
+
+}
+
+function parseHeader( text, propertyNameMapping ) {
+
+	const header = { format: '', version: '', elements: [] };
+	let current = null;
+
+	for ( let line of text.split( /\n/ ) ) {
+
+		line = line.trim();
+		if ( line === '' ) continue;
+
+		const parts = line.split( /\s+/ );
+		const key = parts.shift();
+
+		if ( key === 'format' ) {
+
+			header.format = parts[ 0 ];
+			header.version = parts[ 1 ];
+
+		} else if ( key === 'element' ) {
+
+			current = { name: parts[ 0 ], count: parseInt( parts[ 1 ] ), properties: [] };
+			header.elements.push( current );
+
+		} else if ( key === 'property' ) {
+
+			if ( ! current ) throw new Error( 'PLYWorker: property before element' );
+
+			const prop = ( parts[ 0 ] === 'list' )
+				? { type: 'list', countType: parts[ 1 ], itemType: parts[ 2 ], name: parts[ 3 ] }
+				: { type: parts[ 0 ], name: parts[ 1 ] };
+
+			for ( const t of prop.type === 'list' ? [ prop.countType, prop.itemType ] : [ prop.type ] ) {
+
+				if ( ! TYPE_INFO[ t ] ) throw new Error( 'PLYWorker: unknown property type ' + t );
+
+			}
+
+			if ( prop.name in propertyNameMapping ) prop.name = propertyNameMapping[ prop.name ];
+			current.properties.push( prop );
+
+		}
+
+	}
+
+	if ( ! [ 'ascii', 'binary_little_endian', 'binary_big_endian' ].includes( header.format ) ) {
+
+		throw new Error( 'PLYWorker: unsupported format ' + header.format );
+
+	}
+
+	return header;
+
+}
+
+// Same attribute name lookup as PLYLoader.mapElementAttributes()
+function mapElementAttributes( properties ) {
+
+	const names = properties.map( p => p.name );
+	const find = ( list ) => {
+
+		for ( const n of list ) {
+
+			const i = names.indexOf( n );
+			if ( i >= 0 ) return i;
+
+		}
+
+		return - 1;
+
+	};
+
+	return {
+		x: find( [ 'x', 'px', 'posx' ] ), y: find( [ 'y', 'py', 'posy' ] ), z: find( [ 'z', 'pz', 'posz' ] ),
+		nx: find( [ 'nx', 'normalx' ] ), ny: find( [ 'ny', 'normaly' ] ), nz: find( [ 'nz', 'normalz' ] ),
+		s: find( [ 's', 'u', 'texture_u', 'tx' ] ), t: find( [ 't', 'v', 'texture_v', 'ty' ] ),
+		r: find( [ 'red', 'diffuse_red', 'r', 'diffuse_r' ] ),
+		g: find( [ 'green', 'diffuse_green', 'g', 'diffuse_g' ] ),
+		b: find( [ 'blue', 'diffuse_blue', 'b', 'diffuse_b' ] ),
+		cls: find( CLASSIFICATION_NAMES ),
+		list: find( [ 'vertex_indices', 'vertex_index' ] ),
+	};
+
+}
+
+// Output buffers, sized from the header counts
+function createTarget( header, customPropertyMapping, preferredOrigin ) {
+
+	const vertex = header.elements.find( e => e.name === 'vertex' );
+	const face = header.elements.find( e => e.name === 'face' );
+	const n = vertex ? vertex.count : 0;
+	const map = vertex ? mapElementAttributes( vertex.properties ) : null;
+
+	const target = {
+		vertexCount: n,
+		position: new Float32Array( n * 3 ),
+		normal: map && map.nx >= 0 && map.ny >= 0 && map.nz >= 0 ? new Float32Array( n * 3 ) : null,
+		uv: map && map.s >= 0 && map.t >= 0 ? new Float32Array( n * 2 ) : null,
+		color: map && map.r >= 0 && map.g >= 0 && map.b >= 0 ? new Float32Array( n * 3 ) : null,
+		colorIsUchar: map && map.r >= 0 && vertex.properties[ map.r ].type.startsWith( 'u' ) && TYPE_INFO[ vertex.properties[ map.r ].type ][ 1 ] === 1,
+		classification: map && map.cls >= 0 ? new Uint8Array( n ) : null,
+		index: face ? new Uint32Array( face.count * 3 ) : null,
+		indexCount: 0,
+		preferredOrigin,
+		origin: undefined, // decided at the first vertex
+		shift: [ 0, 0, 0 ],
+		custom: {},
+		customIndices: {},
+	};
+
+	for ( const name of Object.keys( customPropertyMapping ) ) {
+
+		const props = customPropertyMapping[ name ];
+		const idx = vertex ? props.map( p => vertex.properties.findIndex( q => q.name === p ) ) : [];
+		if ( idx.length && idx.every( i => i >= 0 ) ) {
+
+			target.custom[ name ] = { array: new Float32Array( n * props.length ), itemSize: props.length };
+			target.customIndices[ name ] = idx;
+
+		}
+
+	}
+
+	return target;
+
+}
+
+function pushTriangle( target, a, b, c ) {
+
+	if ( target.indexCount + 3 > target.index.length ) {
+
+		const grown = new Uint32Array( Math.max( 3, target.index.length * 2 ) );
+		grown.set( target.index );
+		target.index = grown;
+
+	}
+
+	target.index[ target.indexCount ++ ] = a;
+	target.index[ target.indexCount ++ ] = b;
+	target.index[ target.indexCount ++ ] = c;
+
+}
+
+function storeVertex( target, map, i, v ) {
+
+	const i3 = i * 3;
+
+	if ( target.origin === undefined ) {
+
+		target.origin = resolveOrigin( target.preferredOrigin, v[ map.x ], v[ map.y ], v[ map.z ] );
+		if ( target.origin ) target.shift = target.origin;
+
+	}
+
+	const shift = target.shift;
+	target.position[ i3 ] = v[ map.x ] - shift[ 0 ];
+	target.position[ i3 + 1 ] = v[ map.y ] - shift[ 1 ];
+	target.position[ i3 + 2 ] = v[ map.z ] - shift[ 2 ];
+
+	if ( target.normal ) {
+
+		target.normal[ i3 ] = v[ map.nx ];
+		target.normal[ i3 + 1 ] = v[ map.ny ];
+		target.normal[ i3 + 2 ] = v[ map.nz ];
+
+	}
+
+	if ( target.uv ) {
+
+		target.uv[ i * 2 ] = v[ map.s ];
+		target.uv[ i * 2 + 1 ] = v[ map.t ];
+
+	}
+
+	if ( target.color ) {
+
+		if ( target.colorIsUchar ) {
+
+			target.color[ i3 ] = _ucharToLinear[ v[ map.r ] ];
+			target.color[ i3 + 1 ] = _ucharToLinear[ v[ map.g ] ];
+			target.color[ i3 + 2 ] = _ucharToLinear[ v[ map.b ] ];
+
+		} else {
+
+			target.color[ i3 ] = srgbToLinear( v[ map.r ] / 255 );
+			target.color[ i3 + 1 ] = srgbToLinear( v[ map.g ] / 255 );
+			target.color[ i3 + 2 ] = srgbToLinear( v[ map.b ] / 255 );
+
+		}
+
+	}
+
+	if ( target.classification ) target.classification[ i ] = v[ map.cls ];
+
+	for ( const name in target.custom ) {
+
+		const { array, itemSize } = target.custom[ name ];
+		const idx = target.customIndices[ name ];
+		for ( let k = 0; k < itemSize; k ++ ) array[ i * itemSize + k ] = v[ idx[ k ] ];
+
+	}
+
+}
+
+function storeFace( target, list ) {
+
+	if ( ! list || list.length < 3 ) return;
+
+	if ( list.length === 4 ) {
+
+		// same split as PLYLoader
+		pushTriangle( target, list[ 0 ], list[ 1 ], list[ 3 ] );
+		pushTriangle( target, list[ 1 ], list[ 2 ], list[ 3 ] );
+		return;
+
+	}
+
+	for ( let k = 1; k + 1 < list.length; k ++ ) pushTriangle( target, list[ 0 ], list[ k ], list[ k + 1 ] );
+
+}
+
+function createProgress( header, onProgress ) {
+
+	const total = header.elements.reduce( ( n, e ) => n + e.count, 0 );
+	const step = Math.max( 1, Math.floor( total / PROGRESS_STEPS ) );
+	let done = 0, next = step;
+
+	return {
+		tick( n = 1 ) {
+
+			done += n;
+			if ( done >= next ) {
+
+				next = done + step;
+				onProgress( done, total );
+
+			}
+
+		},
+		finish() {
+
+			onProgress( total, total );
+
+		}
+	};
+
+}
+
+function parseBinary( bytes, header, headerLength, target, progress ) {
+
+	const little = header.format === 'binary_little_endian';
+	const dv = new DataView( bytes.buffer, bytes.byteOffset + headerLength, bytes.byteLength - headerLength );
+	let at = 0;
+
+	for ( const elem of header.elements ) {
+
+		const props = elem.properties;
+		const values = new Array( props.length );
+		const isVertex = elem.name === 'vertex';
+		const isFace = elem.name === 'face';
+		const faceList = isFace ? mapElementAttributes( props ).list : - 1;
+
+		for ( let i = 0; i < elem.count; i ++ ) {
+
+			for ( let p = 0; p < props.length; p ++ ) {
+
+				const prop = props[ p ];
+
+				if ( prop.type === 'list' ) {
+
+					const [ cGet, cSize ] = TYPE_INFO[ prop.countType ];
+					const [ iGet, iSize ] = TYPE_INFO[ prop.itemType ];
+					const n = dv[ cGet ]( at, little );
+					at += cSize;
+
+					const list = new Array( n );
+					for ( let k = 0; k < n; k ++ ) {
+
+						list[ k ] = dv[ iGet ]( at, little );
+						at += iSize;
+
+					}
+
+					values[ p ] = list;
+
+				} else {
+
+					const [ get, size ] = TYPE_INFO[ prop.type ];
+					values[ p ] = dv[ get ]( at, little );
+					at += size;
+
+				}
+
+			}
+
+			if ( isVertex ) storeVertex( target, target.map, i, values );
+			else if ( isFace && faceList >= 0 ) storeFace( target, values[ faceList ] );
+
+			progress.tick();
+
+		}
+
+	}
+
+}
+
+function parseASCII( bytes, headerLength, header, target, progress ) {
+
+	const text = new TextDecoder().decode( bytes.subarray( headerLength ) );
+	const re = /\S+/g;
+	const next = () => {
+
+		const m = re.exec( text );
+		return m ? m[ 0 ] : null;
+
+	};
+
+	const read = ( type ) => {
+
+		const t = next();
+		if ( t === null ) return null;
+		return INT_TYPES.has( type ) ? parseInt( t ) : parseFloat( t );
+
+	};
+
+	for ( const elem of header.elements ) {
+
+		const props = elem.properties;
+		const values = new Array( props.length );
+		const isVertex = elem.name === 'vertex';
+		const isFace = elem.name === 'face';
+		const faceList = isFace ? mapElementAttributes( props ).list : - 1;
+
+		for ( let i = 0; i < elem.count; i ++ ) {
+
+			for ( let p = 0; p < props.length; p ++ ) {
+
+				const prop = props[ p ];
+
+				if ( prop.type === 'list' ) {
+
+					const n = read( prop.countType );
+					if ( n === null ) return;
+					const list = new Array( n );
+					for ( let k = 0; k < n; k ++ ) {
+
+						list[ k ] = read( prop.itemType );
+						if ( list[ k ] === null ) return;
+
+					}
+
+					values[ p ] = list;
+
+				} else {
+
+					values[ p ] = read( prop.type );
+					if ( values[ p ] === null ) return;
+
+				}
+
+			}
+
+			if ( isVertex ) storeVertex( target, target.map, i, values );
+			else if ( isFace && faceList >= 0 ) storeFace( target, values[ faceList ] );
+
+			progress.tick();
+
+		}
+
+	}
+
+}
+
+/**
+ * Parses a PLY file into typed arrays.
+ *
+ * @param {ArrayBuffer} data
+ * @param {object} [options]
+ * @param {object} [options.propertyNameMapping]   same as PLYLoader.setPropertyNameMapping()
+ * @param {object} [options.customPropertyMapping] same as PLYLoader.setCustomPropertyNameMapping()
+ * @param {?number[]} [options.origin]           origin to subtract when the coordinates are absolute (null: pick one)
+ * @param {function(number, number)} [options.onProgress] (elementsParsed, elementsTotal)
+ * @return {{position: Float32Array, normal: ?Float32Array, uv: ?Float32Array, color: ?Float32Array,
+ *           classification: ?Uint8Array, index: ?Uint32Array, custom: Object<string, {array: Float32Array, itemSize: number}>,
+ *           origin: ?number[]}} origin is null when the file was already in local coordinates
+ */
+function parsePLY( data, options = {} ) {
+
+	const bytes = new Uint8Array( data );
+	const { headerText, headerLength } = extractHeader( bytes );
+	const header = parseHeader( headerText, options.propertyNameMapping || {} );
+
+	const target = createTarget( header, options.customPropertyMapping || {}, options.origin || null );
+	const vertex = header.elements.find( e => e.name === 'vertex' );
+	target.map = vertex ? mapElementAttributes( vertex.properties ) : null;
+
+	const progress = createProgress( header, options.onProgress || ( () => {} ) );
+
+	if ( header.format === 'ascii' ) parseASCII( bytes, headerLength, header, target, progress );
+	else parseBinary( bytes, header, headerLength, target, progress );
+
+	progress.finish();
+
+	const custom = {};
+	for ( const name in target.custom ) custom[ name ] = target.custom[ name ];
+
+	return {
+		position: target.position,
+		normal: target.normal,
+		uv: target.uv,
+		color: target.color,
+		classification: target.classification,
+		index: target.index && target.indexCount > 0 ? target.index.slice( 0, target.indexCount ) : null,
+		custom,
+		origin: target.origin || null,
+	};
+
+}
+
+// buffers that can be transferred back without copying
+function transferablesOf( result ) {
+
+	const list = [ result.position.buffer ];
+	for ( const k of [ 'normal', 'uv', 'color', 'classification', 'index' ] ) if ( result[ k ] ) list.push( result[ k ].buffer );
+	for ( const name in result.custom ) list.push( result.custom[ name ].array.buffer );
+	return list;
+
+}
+
+if ( typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope ) {
+
+	self.onmessage = ( e ) => {
+
+		const { data, propertyNameMapping, customPropertyMapping, origin } = e.data;
+
+		try {
+
+			const result = parsePLY( data, {
+				propertyNameMapping,
+				customPropertyMapping,
+				origin,
+				onProgress: ( loaded, total ) => self.postMessage( { type: 'progress', loaded, total } ),
+			} );
+			self.postMessage( { type: 'done', result }, transferablesOf( result ) );
+
+		} catch ( err ) {
+
+			self.postMessage( { type: 'error', message: err && err.message ? err.message : String( err ) } );
+
+		}
+
+	};
+
+}
+
+export { parsePLY, transferablesOf, extractHeader, parseHeader, mapElementAttributes, srgbToLinear, TYPE_INFO };
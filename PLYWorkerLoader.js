@@ -0,0 +1,191 @@
+import {
+	BufferAttribute,
+	BufferGeometry,
+	FileLoader,
+	Loader
+} from 'three';
+import { parsePLY } from './PLYWorker.js';
+
+/**
+ * Description: Worker-backed variant of PLYLoader. Downloads with FileLoader,
+ * then parses ASCII / binary PLY in a module Web Worker (PLYWorker.js) straight
+ * into typed arrays which are transferred back, so large clouds do not freeze
+ * the page. Falls back to parsing on the main thread when Worker is missing.
+ *
+ * Usage:
+ *	const loader = new PLYWorkerLoader();
+ *	loader.load( url, function ( geometry ) {
+ *
+ *		scene.add( new THREE.Points( geometry ) );
+ *
+ *	}, onDownloadProgress, onError, function ( parsed, total ) {
+ *
+ *		// elements (vertices + faces) parsed so far
+ *
+ *	} );
+ *
+ * setPropertyNameMapping() / setCustomPropertyNameMapping() behave as in PLYLoader.
+ * setOrigin( [ x, y, z ] ) sets the local origin subtracted from absolute
+ * coordinates (null: chosen per file); the one used ends up in
+ * geometry.userData.origin (null for files already in local coordinates).
+ */
+
+class PLYWorkerLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.propertyNameMapping = {};
+		this.customPropertyMapping = {};
+		this.origin = null;
+
+	}
+
+	load( url, onLoad, onProgress, onError, onParseProgress ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'arraybuffer' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, function ( data ) {
+
+			scope.parse( data, onParseProgress ).then( onLoad, function ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			} );
+
+		}, onProgress, onError );
+
+	}
+
+	loadAsync( url, onProgress, onParseProgress ) {
+
+		return new Promise( ( resolve, reject ) => {
+
+			this.load( url, resolve, onProgress, reject, onParseProgress );
+
+		} );
+
+	}
+
+	setPropertyNameMapping( mapping ) {
+
+		this.propertyNameMapping = mapping;
+
+	}
+
+	setCustomPropertyNameMapping( mapping ) {
+
+		this.customPropertyMapping = mapping;
+
+	}
+
+	setOrigin( origin ) {
+
+		this.origin = origin ? [ origin[ 0 ], origin[ 1 ], origin[ 2 ] ] : null;
+		return this;
+
+	}
+
+	// Resolves with a BufferGeometry. `data` is transferred to the worker and unusable afterwards.
+	parse( data, onParseProgress ) {
+
+		const options = {
+			propertyNameMapping: this.propertyNameMapping,
+			customPropertyMapping: this.customPropertyMapping,
+			origin: this.origin,
+		};
+
+		if ( typeof Worker === 'undefined' ) {
+
+			return new Promise( ( resolve ) => {
+
+				resolve( toGeometry( parsePLY( data, { ...options, onProgress: onParseProgress } ) ) );
+
+			} );
+
+		}
+
+		return new Promise( ( resolve, reject ) => {
+
+			const worker = new Worker( new URL( './PLYWorker.js', import.meta.url ), { type: 'module' } );
+
+			worker.onmessage = ( e ) => {
+
+				const msg = e.data;
+
+				if ( msg.type === 'progress' ) {
+
+					if ( onParseProgress ) onParseProgress( msg.loaded, msg.total );
+
+				} else if ( msg.type === 'done' ) {
+
+					worker.terminate();
+					resolve( toGeometry( msg.result ) );
+
+				} else if ( msg.type === 'error' ) {
+
+					worker.terminate();
+					reject( new Error( msg.message ) );
+
+				}
+
+			};
+
+			worker.onerror = ( e ) => {
+
+				worker.terminate();
+				reject( new Error( e.message || 'PLYWorkerLoader: worker failed' ) );
+
+			};
+
+			worker.postMessage( { data, ...options }, [ data ] );
+
+		} );
+
+	}
+
+}
+
+function toGeometry( result ) {
+
+	const geometry = new BufferGeometry();
+
+	if ( result.index ) geometry.setIndex( new BufferAttribute( result.index, 1 ) );
+
+	geometry.setAttribute( 'position', new BufferAttribute( result.position, 3 ) );
+	if ( result.normal ) geometry.setAttribute( 'normal', new BufferAttribute( result.normal, 3 ) );
+	if ( result.uv ) geometry.setAttribute( 'uv', new BufferAttribute( result.uv, 2 ) );
+	if ( result.color ) geometry.setAttribute( 'color', new BufferAttribute( result.color, 3 ) );
+	if ( result.classification ) geometry.setAttribute( 'classification', new BufferAttribute( result.classification, 1 ) );
+
+	for ( const name in result.custom ) {
+
+		const { array, itemSize } = result.custom[ name ];
+		geometry.setAttribute( name, new BufferAttribute( array, itemSize ) );
+
+	}
+
+	geometry.userData.origin = result.origin || null;
+	geometry.computeBoundingSphere();
+
+	return geometry;
+
+}
+
+export { PLYWorkerLoader };
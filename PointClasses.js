@@ -0,0 +1,103 @@
+/**
+ * 点云类别：逐点类别码（几何体的 classification 属性，ASPRS LAS 类别码）的类别表、统计、筛选，
+ * 以及把改过类别的点云存成带 classification 属性的 PLY
+ *
+ * 类别码来自 LAS 文件、PLY 的 classification / class 属性（见 PLYLoader.js），或自动分类（PointClassify.js）。
+ * 常用的几类有默认名称和颜色，其余码显示为“类别 N”，颜色按色板轮流取：
+ *
+ *   1 未分类   2 河床   7 噪点   9 水面   17 桥墩 / 结构   18 高位噪点   64 杂物（漂木、抛石等，LAS 用户自定义段）
+ *
+ * 存出的 PLY：binary_little_endian，x / y / z 为 double（加回文件原点，与原文件同一坐标），
+ * 有颜色时带 red / green / blue（uchar，sRGB），最后是 uchar classification；本仓库的加载器都能读回。
+ *
+ * 不依赖 three。
+ */
+
+import { POINT_CLASSES } from './PointClassify.js';
+
+const CLASS_DEFAULTS = [
+  { code: 0,                          name: '从未分类',     color: '#b4b4b4' },
+  { code: POINT_CLASSES.UNCLASSIFIED, name: '未分类',       color: '#d9d9d9' },
+  { code: POINT_CLASSES.BED,          name: '河床',         color: '#c69c6d' },
+  { code: POINT_CLASSES.NOISE,        name: '噪点',         color: '#ff00ff' },
+  { code: 9,                          name: '水面',         color: '#3ca0ff' },
+  { code: POINT_CLASSES.STRUCTURE,    name: '桥墩 / 结构',  color: '#4169e1' },
+  { code: 18,                         name: '高位噪点',     color: '#ff66cc' },
+  { code: 64,                         name: '杂物',         color: '#2e8b57' },
+];
+
+// 没有默认颜色的类别按码轮流取
+const EXTRA_COLORS = ['#e6194b','#f58231','#ffe119','#bfef45','#3cb44b','#42d4f4','#911eb4','#f032e6','#9a6324','#800000'];
+
+// 类别码 → { code, name, color }
+function classEntry(code){
+  const d = CLASS_DEFAULTS.find(c => c.code === code);
+  return d ? { ...d } : { code, name: '类别 ' + code, color: EXTRA_COLORS[code % EXTRA_COLORS.length] };
+}
+
+// 前 n 个点各类的点数（长 256）
+function countClasses(cls, n){
+  const counts = new Uint32Array(256);
+  for(let i = 0; i < n; i++) counts[cls[i]]++;
+  return counts;
+}
+
+// 点云里出现的类别，按码排序：[{ code, name, color, visible, count }]；
+// previous 为之前的类别表（Map 码 → 行），改过的名称、颜色、显示沿用
+function classRows(counts, previous = new Map()){
+  const rows = [];
+  counts.forEach((count, code) => {
+    if(!count) return;
+    const old = previous.get(code);
+    rows.push({ ...classEntry(code), visible: true, ...old, code, count });
+  });
+  return rows;
+}
+
+// 要显示的点的下标（show(code) 为真的类别）；全部显示时返回 null
+function visibleIndices(cls, n, show){
+  let k = 0;
+  for(let i = 0; i < n; i++) if(show(cls[i])) k++;
+  if(k === n) return null;
+  const out = new Uint32Array(k);
+  for(let i = 0, j = 0; i < n; i++) if(show(cls[i])) out[j++] = i;
+  return out;
+}
+
+const linearToSRGB8 = (c) => {
+  const v = c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(v * 255)));
+};
+
+// { position(Float32Array，相对 origin), count, origin([x,y,z] 或 null), color(线性 Float32Array 或 null), classification } → ArrayBuffer
+function encodeClassifiedPLY({ position, count, origin, color, classification }){
+  const o = origin || [0, 0, 0];
+  const header =
+    'ply\nformat binary_little_endian 1.0\ncomment written by viewer (point classes)\n' +
+    `element vertex ${count}\n` +
+    'property double x\nproperty double y\nproperty double z\n' +
+    (color ? 'property uchar red\nproperty uchar green\nproperty uchar blue\n' : '') +
+    'property uchar classification\nend_header\n';
+  const head = new TextEncoder().encode(header);
+  const stride = 24 + (color ? 3 : 0) + 1;
+  const buf = new ArrayBuffer(head.length + count * stride);
+  new Uint8Array(buf).set(head);
+  const dv = new DataView(buf, head.length);
+
+  for(let i = 0; i < count; i++){
+    let at = i * stride;
+    for(let c = 0; c < 3; c++, at += 8) dv.setFloat64(at, position[i * 3 + c] + o[c], true);
+    if(color) for(let c = 0; c < 3; c++) dv.setUint8(at++, linearToSRGB8(color[i * 3 + c]));
+    dv.setUint8(at, classification[i]);
+  }
+  return buf;
+}
+
+export {
+  CLASS_DEFAULTS,
+  classEntry,
+  countClasses,
+  classRows,
+  visibleIndices,
+  encodeClassifiedPLY,
+};
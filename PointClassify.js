@@ -0,0 +1,383 @@
+/**
+ * Automatic classification of a single riverbed survey cloud into bed,
+ * structure (piers, abutments, the deck if it was surveyed) and water-column
+ * noise, run in a module Web Worker (runClassification() starts it; this same
+ * file is the worker). No 'three' import, import maps do not apply to workers.
+ *
+ * The cloud is a flat Float32Array of x, y, z positions in scene frame
+ * coordinates (metres, z up). Classes use the ASPRS LAS codes so they can be
+ * written back to LAS / PLY files unchanged (see POINT_CLASSES).
+ *
+ *	1. noise      points with fewer than minPoints points in the 3 x 3 x 3
+ *	              voxels around them (fish, bubbles, multipath spikes above
+ *	              or below the bed)
+ *	2. bed        progressive morphological filter (Zhang et al. 2003) on the
+ *	              lowest point of every grid cell: the surface is opened with
+ *	              windows of 3, 5, 9, 17 ... cells up to maxWindow metres and
+ *	              cells that stick out more than the slope-dependent height
+ *	              threshold are taken off the ground. Points within
+ *	              initialHeight + slope * cell above the ground surface are bed.
+ *	3. structure  the remaining points, grouped into 26-connected voxel
+ *	              clusters; clusters touching the bed are structure, clusters
+ *	              floating in the water column are noise
+ *
+ * Worker messages: see PointWorker.js; args are [ positions ], progress
+ * counts stages done, the result is classifyPoints()'s.
+ */
+
+import { runInWorker, serveWorker, estimateSpacing } from './PointWorker.js';
+
+const POINT_CLASSES = { UNCLASSIFIED: 1, BED: 2, NOISE: 7, STRUCTURE: 17 };
+
+const STAGES = 4;
+
+// grid cells at most, the cell grows beyond this
+const MAX_CELLS = 4e6;
+
+// voxel keys are ix + nx * ( iy + ny * iz ), kept below 2^53
+const MAX_VOXELS_PER_AXIS = 1 << 17;
+
+/**
+ * options: { cell, maxWindow, slope, initialHeight, maxHeight, voxel, minPoints, onProgress }
+ * Spacing-based defaults are used for cell and voxel when they are not given.
+ *
+ * Returns { classes: Uint8Array (POINT_CLASSES per point), params, counts: { bed, structure, noise } }.
+ */
+function classifyPoints( positions, options = {} ) {
+
+	const n = Math.floor( positions.length / 3 );
+	if ( n === 0 ) throw new Error( 'PointClassify: empty point cloud' );
+
+	const spacing = estimateSpacing( positions, n );
+	const params = {
+		spacing,
+		cell: options.cell ?? Math.max( 3 * spacing, 0.1 ),
+		maxWindow: options.maxWindow ?? 8,
+		slope: options.slope ?? 0.6,
+		initialHeight: options.initialHeight ?? 0.3,
+		maxHeight: options.maxHeight ?? 2.5,
+		voxel: options.voxel ?? Math.max( 4 * spacing, 0.2 ),
+		minPoints: options.minPoints ?? 5,
+	};
+	const onProgress = options.onProgress || null;
+	const progress = ( k ) => onProgress && onProgress( k, STAGES );
+
+	const classes = new Uint8Array( n ).fill( POINT_CLASSES.UNCLASSIFIED );
+
+	// 1. isolated points
+	const vox = buildVoxels( positions, n, params.voxel );
+	const isolated = isolatedVoxels( vox, params.minPoints );
+	for ( let i = 0; i < n; i ++ ) if ( isolated[ vox.slotOf[ i ] ] ) classes[ i ] = POINT_CLASSES.NOISE;
+	progress( 1 );
+
+	// 2. ground surface from the remaining points
+	const grid = groundSurface( positions, n, classes, params );
+	params.cell = grid.cell;
+	progress( 2 );
+
+	const band = params.initialHeight + params.slope * grid.cell;
+	for ( let i = 0; i < n; i ++ ) {
+
+		if ( classes[ i ] === POINT_CLASSES.NOISE ) continue;
+		const c = grid.cellOf( positions[ i * 3 ], positions[ i * 3 + 1 ] );
+		if ( positions[ i * 3 + 2 ] - grid.ground[ c ] <= band ) classes[ i ] = POINT_CLASSES.BED;
+
+	}
+
+	progress( 3 );
+
+	// 3. clusters above the bed
+	const touching = clustersTouchingBed( vox, classes );
+	for ( let i = 0; i < n; i ++ ) {
+
+		if ( classes[ i ] !== POINT_CLASSES.UNCLASSIFIED ) continue;
+		classes[ i ] = touching[ vox.slotOf[ i ] ] ? POINT_CLASSES.STRUCTURE : POINT_CLASSES.NOISE;
+
+	}
+
+	progress( 4 );
+
+	const counts = { bed: 0, structure: 0, noise: 0 };
+	for ( let i = 0; i < n; i ++ ) {
+
+		if ( classes[ i ] === POINT_CLASSES.BED ) counts.bed ++;
+		else if ( classes[ i ] === POINT_CLASSES.STRUCTURE ) counts.structure ++;
+		else counts.noise ++;
+
+	}
+
+	return { classes, params, counts };
+
+}
+
+/* ========= voxels ========= */
+
+// points bucketed by voxel: slotOf[ point ] -> slot, keys[ slot ] -> voxel key, slots: key -> slot
+function buildVoxels( pos, n, size ) {
+
+	let minX = Infinity, minY = Infinity, minZ = Infinity, maxX = - Infinity, maxY = - Infinity, maxZ = - Infinity;
+	for ( let i = 0; i < n; i ++ ) {
+
+		const x = pos[ i * 3 ], y = pos[ i * 3 + 1 ], z = pos[ i * 3 + 2 ];
+		if ( x < minX ) minX = x;
+		if ( x > maxX ) maxX = x;
+		if ( y < minY ) minY = y;
+		if ( y > maxY ) maxY = y;
+		if ( z < minZ ) minZ = z;
+		if ( z > maxZ ) maxZ = z;
+
+	}
+
+	size = Math.max( size, ( maxX - minX ) / ( MAX_VOXELS_PER_AXIS - 2 ), ( maxY - minY ) / ( MAX_VOXELS_PER_AXIS - 2 ), ( maxZ - minZ ) / ( MAX_VOXELS_PER_AXIS - 2 ) );
+
+	// one empty voxel of margin on every side, so neighbour keys never wrap
+	const nx = Math.floor( ( maxX - minX ) / size ) + 3;
+	const ny = Math.floor( ( maxY - minY ) / size ) + 3;
+
+	const slots = new Map();
+	const keys = [];
+	const counts = [];
+	const slotOf = new Uint32Array( n );
+
+	for ( let i = 0; i < n; i ++ ) {
+
+		const key = ( Math.floor( ( pos[ i * 3 ] - minX ) / size ) + 1 ) + nx * ( ( Math.floor( ( pos[ i * 3 + 1 ] - minY ) / size ) + 1 ) + ny * ( Math.floor( ( pos[ i * 3 + 2 ] - minZ ) / size ) + 1 ) );
+		let slot = slots.get( key );
+		if ( slot === undefined ) {
+
+			slot = keys.length;
+			slots.set( key, slot );
+			keys.push( key );
+			counts.push( 0 );
+
+		}
+
+		slotOf[ i ] = slot;
+		counts[ slot ] ++;
+
+	}
+
+	const offsets = [];
+	for ( let dz = - 1; dz <= 1; dz ++ ) for ( let dy = - 1; dy <= 1; dy ++ ) for ( let dx = - 1; dx <= 1; dx ++ ) {
+
+		if ( dx || dy || dz ) offsets.push( dx + nx * ( dy + ny * dz ) );
+
+	}
+
+	return { size, slots, keys, counts, slotOf, offsets };
+
+}
+
+// per slot: fewer than minPoints points in the voxel and its 26 neighbours
+function isolatedVoxels( vox, minPoints ) {
+
+	const { slots, keys, counts, offsets } = vox;
+	const isolated = new Uint8Array( keys.length );
+
+	for ( let s = 0; s < keys.length; s ++ ) {
+
+		let total = counts[ s ];
+		for ( let k = 0; k < offsets.length && total < minPoints; k ++ ) {
+
+			const t = slots.get( keys[ s ] + offsets[ k ] );
+			if ( t !== undefined ) total += counts[ t ];
+
+		}
+
+		isolated[ s ] = total < minPoints ? 1 : 0;
+
+	}
+
+	return isolated;
+
+}
+
+// per slot: the voxel holds unclassified points whose 26-connected cluster touches a bed voxel
+function clustersTouchingBed( vox, classes ) {
+
+	const { slots, keys, slotOf, offsets } = vox;
+	const m = keys.length;
+	const bed = new Uint8Array( m ), above = new Uint8Array( m );
+	for ( let i = 0; i < slotOf.length; i ++ ) {
+
+		if ( classes[ i ] === POINT_CLASSES.BED ) bed[ slotOf[ i ] ] = 1;
+		else if ( classes[ i ] === POINT_CLASSES.UNCLASSIFIED ) above[ slotOf[ i ] ] = 1;
+
+	}
+
+	const parent = new Uint32Array( m );
+	for ( let s = 0; s < m; s ++ ) parent[ s ] = s;
+	const find = ( s ) => {
+
+		while ( parent[ s ] !== s ) {
+
+			parent[ s ] = parent[ parent[ s ] ];
+			s = parent[ s ];
+
+		}
+
+		return s;
+
+	};
+
+	const touches = new Uint8Array( m );
+	for ( let s = 0; s < m; s ++ ) {
+
+		if ( ! above[ s ] ) continue;
+		if ( bed[ s ] ) touches[ s ] = 1;
+
+		for ( const d of offsets ) {
+
+			const t = slots.get( keys[ s ] + d );
+			if ( t === undefined ) continue;
+			if ( bed[ t ] ) touches[ s ] = 1;
+			if ( above[ t ] ) {
+
+				const a = find( s ), b = find( t );
+				if ( a !== b ) parent[ a ] = b;
+
+			}
+
+		}
+
+	}
+
+	const rootTouches = new Uint8Array( m );
+	for ( let s = 0; s < m; s ++ ) if ( touches[ s ] ) rootTouches[ find( s ) ] = 1;
+
+	const result = new Uint8Array( m );
+	for ( let s = 0; s < m; s ++ ) if ( above[ s ] ) result[ s ] = rootTouches[ find( s ) ];
+	return result;
+
+}
+
+/* ========= progressive morphological filter ========= */
+
+// ground elevation per cell (lowest point, or the opened surface where the cell was filtered out)
+function groundSurface( pos, n, classes, params ) {
+
+	let minX = Infinity, minY = Infinity, maxX = - Infinity, maxY = - Infinity;
+	for ( let i = 0; i < n; i ++ ) {
+
+		if ( classes[ i ] === POINT_CLASSES.NOISE ) continue;
+		const x = pos[ i * 3 ], y = pos[ i * 3 + 1 ];
+		if ( x < minX ) minX = x;
+		if ( x > maxX ) maxX = x;
+		if ( y < minY ) minY = y;
+		if ( y > maxY ) maxY = y;
+
+	}
+
+	if ( ! ( maxX >= minX ) ) throw new Error( 'PointClassify: every point is noise' );
+
+	let cell = params.cell;
+	const span = ( maxX - minX + cell ) * ( maxY - minY + cell );
+	if ( span / ( cell * cell ) > MAX_CELLS ) cell = Math.sqrt( span / MAX_CELLS );
+
+	const nx = Math.floor( ( maxX - minX ) / cell ) + 1;
+	const ny = Math.floor( ( maxY - minY ) / cell ) + 1;
+	const cellOf = ( x, y ) => Math.min( nx - 1, Math.max( 0, Math.floor( ( x - minX ) / cell ) ) ) + nx * Math.min( ny - 1, Math.max( 0, Math.floor( ( y - minY ) / cell ) ) );
+
+	const lowest = new Float32Array( nx * ny ).fill( Infinity );
+	for ( let i = 0; i < n; i ++ ) {
+
+		if ( classes[ i ] === POINT_CLASSES.NOISE ) continue;
+		const c = cellOf( pos[ i * 3 ], pos[ i * 3 + 1 ] );
+		if ( pos[ i * 3 + 2 ] < lowest[ c ] ) lowest[ c ] = pos[ i * 3 + 2 ];
+
+	}
+
+	const filtered = new Uint8Array( nx * ny );
+	let surface = lowest.slice();
+	let prevWindow = 1;
+
+	for ( let b = 1; ; b *= 2 ) {
+
+		const w = 2 * b + 1;
+		if ( b > 1 && w * cell > params.maxWindow ) break;
+
+		const dh = Math.min( params.initialHeight + params.slope * ( w - prevWindow ) * cell, params.maxHeight );
+		const opened = openSurface( surface, nx, ny, w );
+
+		for ( let c = 0; c < surface.length; c ++ ) {
+
+			if ( lowest[ c ] === Infinity ) continue;
+			if ( surface[ c ] - opened[ c ] > dh ) filtered[ c ] = 1;
+
+		}
+
+		for ( let c = 0; c < surface.length; c ++ ) if ( lowest[ c ] === Infinity ) opened[ c ] = Infinity;
+		surface = opened;
+		prevWindow = w;
+
+	}
+
+	const ground = new Float32Array( nx * ny );
+	for ( let c = 0; c < ground.length; c ++ ) ground[ c ] = filtered[ c ] ? surface[ c ] : lowest[ c ];
+
+	return { cell, nx, ny, cellOf, ground };
+
+}
+
+// morphological opening (erosion, then dilation) with a w x w window; empty cells are +Infinity
+function openSurface( surface, nx, ny, w ) {
+
+	const eroded = filter2D( surface, nx, ny, w, true );
+	for ( let c = 0; c < eroded.length; c ++ ) if ( eroded[ c ] === Infinity ) eroded[ c ] = - Infinity;
+	return filter2D( eroded, nx, ny, w, false );
+
+}
+
+// separable running min / max, w odd; border windows are clipped
+function filter2D( src, nx, ny, w, min ) {
+
+	const r = ( w - 1 ) / 2;
+	const len = Math.max( nx, ny );
+	const line = new Float32Array( len + w - 1 ), g = new Float32Array( len + w - 1 ), h = new Float32Array( len + w - 1 );
+	const out = new Float32Array( src.length ), tmp = new Float32Array( src.length );
+	const pad = min ? Infinity : - Infinity;
+
+	const run = ( from, to, count, start, stride ) => {
+
+		line.fill( pad );
+		for ( let i = 0; i < count; i ++ ) line[ r + i ] = from[ start + i * stride ];
+		runningExtreme( line, g, h, count + w - 1, w, min );
+		for ( let i = 0; i < count; i ++ ) to[ start + i * stride ] = min ? Math.min( h[ i ], g[ i + w - 1 ] ) : Math.max( h[ i ], g[ i + w - 1 ] );
+
+	};
+
+	for ( let j = 0; j < ny; j ++ ) run( src, tmp, nx, j * nx, 1 );
+	for ( let i = 0; i < nx; i ++ ) run( tmp, out, ny, i, nx );
+	return out;
+
+}
+
+// van Herk / Gil-Werman: g running from each block start, h running to each block end
+function runningExtreme( line, g, h, length, w, min ) {
+
+	for ( let i = 0; i < length; i ++ ) {
+
+		g[ i ] = i % w === 0 ? line[ i ] : ( min ? Math.min( g[ i - 1 ], line[ i ] ) : Math.max( g[ i - 1 ], line[ i ] ) );
+
+	}
+
+	for ( let i = length - 1; i >= 0; i -- ) {
+
+		h[ i ] = i === length - 1 || ( i + 1 ) % w === 0 ? line[ i ] : ( min ? Math.min( h[ i + 1 ], line[ i ] ) : Math.max( h[ i + 1 ], line[ i ] ) );
+
+	}
+
+}
+
+/* ========= worker ========= */
+
+// Resolves with classifyPoints()'s result. The positions are copied to the worker, the caller keeps them.
+function runClassification( positions, options = {}, onProgress ) {
+
+	return runInWorker( new URL( './PointClassify.js', import.meta.url ), classifyPoints, [ positions ], options, onProgress );
+
+}
+
+serveWorker( classifyPoints, ( result ) => [ result.classes.buffer ] );
+
+export { POINT_CLASSES, classifyPoints, runClassification };
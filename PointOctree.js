@@ -0,0 +1,300 @@
+import {
+	Box3,
+	Frustum,
+	Group,
+	Matrix4,
+	Points,
+	PointsMaterial,
+	Vector3
+} from 'three';
+import { PLYWorkerLoader } from './PLYWorkerLoader.js';
+
+/**
+ * Description: Runtime for octree-tiled point clouds written by ply2octree.mjs.
+ * Tiles are loaded and unloaded every frame from the camera's point of view:
+ * nodes are refined while their point spacing projects to more than
+ * `minPixelSpacing` screen pixels, nearest/coarsest first, until `pointBudget`
+ * points are visible. Loaded-but-hidden tiles are kept up to `cacheBudget`
+ * points and evicted least-recently-used.
+ *
+ * Tiles are in local coordinates; octree.userData.origin is the local origin
+ * the converter subtracted (null when the source was already local).
+ *
+ * Every tile is a THREE.Points child sharing `material`, so raycasting the
+ * octree recursively, scaling it (e.g. Z exaggeration) and setting
+ * `octree.material.size` work like for a single Points object.
+ *
+ * Usage:
+ *	const octree = new PointOctree( './data/…/cloud.octree/octree.json' );
+ *	await octree.load();            // resolves once the root tile is shown
+ *	scene.add( octree );
+ *	// each frame:
+ *	octree.update( camera, renderer );
+ */
+
+const _frustum = new Frustum();
+const _projScreen = new Matrix4();
+const _box = new Box3();
+const _center = new Vector3();
+
+class PointOctree extends Group {
+
+	constructor( url, loader = new PLYWorkerLoader() ) {
+
+		super();
+
+		this.isPointOctree = true;
+		this.url = url;
+		this.loader = loader;
+
+		this.material = new PointsMaterial( { size: 1, vertexColors: false } );
+
+		this.pointBudget = 2000000;
+		this.cacheBudget = 4000000;
+		this.minPixelSpacing = 1.5;
+		this.maxConcurrentLoads = 4;
+
+		this.meta = null;
+		this.root = null;
+		this.visiblePoints = 0;
+
+		this._nodes = [];
+		this._loading = 0;
+		this._frame = 0;
+		this._disposed = false;
+
+	}
+
+	async load() {
+
+		const res = await fetch( this.url );
+		if ( ! res.ok ) throw new Error( `PointOctree: ${ res.status } ${ this.url }` );
+		const meta = await res.json();
+		if ( meta.version !== 1 ) throw new Error( 'PointOctree: unsupported octree.json version ' + meta.version );
+
+		this.meta = meta;
+		this.material.vertexColors = !! meta.hasColor;
+		this.userData.origin = meta.origin || null;
+
+		const base = new URL( '.', new URL( this.url, location.href ) ).href;
+		const byName = new Map();
+
+		for ( const { name, count } of meta.nodes ) {
+
+			const node = {
+				name,
+				count,
+				level: name.length - 1,
+				url: base + name + '.ply',
+				box: boxFromName( meta.box, name ),
+				spacing: meta.spacing / Math.pow( 2, name.length - 1 ),
+				children: [],
+				object: null,
+				loading: null,
+				failed: false,
+				lastUsed: 0,
+			};
+			byName.set( name, node );
+			this._nodes.push( node );
+
+		}
+
+		for ( const node of this._nodes ) {
+
+			const parent = byName.get( node.name.slice( 0, - 1 ) );
+			if ( parent ) parent.children.push( node );
+
+		}
+
+		this.root = byName.get( 'r' );
+		if ( ! this.root ) throw new Error( 'PointOctree: missing root node' );
+
+		await this._loadNode( this.root );
+		return this;
+
+	}
+
+	// Bounding box of the whole cloud in local coordinates
+	getBoundingBox( target = new Box3() ) {
+
+		const b = this.meta.box;
+		return target.set( new Vector3( b[ 0 ], b[ 1 ], b[ 2 ] ), new Vector3( b[ 3 ], b[ 4 ], b[ 5 ] ) );
+
+	}
+
+	update( camera, renderer ) {
+
+		if ( ! this.root || this._disposed ) return;
+
+		this._frame ++;
+		this.updateMatrixWorld();
+		_projScreen.multiplyMatrices( camera.projectionMatrix, camera.matrixWorldInverse );
+		_frustum.setFromProjectionMatrix( _projScreen );
+
+		const height = renderer.domElement.clientHeight || 1;
+		const projFactor = camera.isPerspectiveCamera
+			? height / ( 2 * Math.tan( camera.fov * Math.PI / 360 ) )
+			: height / ( camera.top - camera.bottom ) * camera.zoom;
+
+		const camPos = camera.getWorldPosition( new Vector3() );
+		const visible = new Set();
+		const queue = [ { node: this.root, weight: Infinity } ];
+		let points = 0;
+
+		while ( queue.length ) {
+
+			// highest projected spacing first
+			let best = 0;
+			for ( let i = 1; i < queue.length; i ++ ) if ( queue[ i ].weight > queue[ best ].weight ) best = i;
+			const { node } = queue.splice( best, 1 )[ 0 ];
+
+			_box.copy( node.box ).applyMatrix4( this.matrixWorld );
+			if ( ! _frustum.intersectsBox( _box ) ) continue;
+			if ( points + node.count > this.pointBudget && node !== this.root ) break;
+
+			node.lastUsed = this._frame;
+
+			if ( ! node.object ) {
+
+				if ( ! node.loading && ! node.failed && this._loading < this.maxConcurrentLoads ) this._loadNode( node );
+				continue; // children refine this node, so wait for it
+
+			}
+
+			visible.add( node );
+			points += node.count;
+
+			for ( const child of node.children ) {
+
+				_box.copy( child.box ).applyMatrix4( this.matrixWorld );
+				_box.getCenter( _center );
+				const dist = camera.isPerspectiveCamera ? Math.max( 1e-6, _center.distanceTo( camPos ) - _box.getSize( new Vector3() ).length() / 2 ) : 1;
+				const pixelSpacing = node.spacing / Math.max( dist, 1e-6 ) * projFactor;
+				if ( pixelSpacing > this.minPixelSpacing ) queue.push( { node: child, weight: pixelSpacing } );
+
+			}
+
+		}
+
+		for ( const node of this._nodes ) {
+
+			if ( node.object ) node.object.visible = visible.has( node );
+
+		}
+
+		this.visiblePoints = points;
+		this._evict( visible );
+
+	}
+
+	_loadNode( node ) {
+
+		this._loading ++;
+		node.loading = this.loader.loadAsync( node.url ).then( ( geometry ) => {
+
+			if ( this._disposed ) {
+
+				geometry.dispose();
+				return;
+
+			}
+
+			const obj = new Points( geometry, this.material );
+			obj.name = node.name;
+			obj.visible = node === this.root;
+			obj.raycast = raycastIfVisible;
+			node.object = obj;
+			this.add( obj );
+
+		} ).catch( ( e ) => {
+
+			console.warn( 'PointOctree: failed to load ' + node.url, e );
+			node.failed = true; // do not retry every frame
+			if ( node === this.root ) throw e;
+
+		} ).finally( () => {
+
+			this._loading --;
+			node.loading = null;
+
+		} );
+
+		return node.loading;
+
+	}
+
+	// drop the least recently used hidden tiles once the cache is over budget
+	_evict( visible ) {
+
+		let cached = 0;
+		const candidates = [];
+
+		for ( const node of this._nodes ) {
+
+			if ( ! node.object ) continue;
+			cached += node.count;
+			if ( ! visible.has( node ) && node !== this.root ) candidates.push( node );
+
+		}
+
+		if ( cached <= this.cacheBudget ) return;
+
+		candidates.sort( ( a, b ) => a.lastUsed - b.lastUsed );
+		for ( const node of candidates ) {
+
+			if ( cached <= this.cacheBudget ) break;
+			this.remove( node.object );
+			node.object.geometry.dispose();
+			node.object = null;
+			cached -= node.count;
+
+		}
+
+	}
+
+	dispose() {
+
+		this._disposed = true;
+		for ( const node of this._nodes ) {
+
+			if ( ! node.object ) continue;
+			this.remove( node.object );
+			node.object.geometry.dispose();
+			node.object = null;
+
+		}
+
+		this.material.dispose();
+
+	}
+
+}
+
+// hidden tiles stay in the scene graph (cache) but must not be picked
+function raycastIfVisible( raycaster, intersects ) {
+
+	if ( this.visible ) Points.prototype.raycast.call( this, raycaster, intersects );
+
+}
+
+// node name "r" + octant digits (x<<2 | y<<1 | z) → cube in local coordinates
+function boxFromName( rootBox, name ) {
+
+	let [ x0, y0, z0, x1 ] = rootBox;
+	let size = x1 - x0;
+
+	for ( let i = 1; i < name.length; i ++ ) {
+
+		const o = name.charCodeAt( i ) - 48;
+		size /= 2;
+		if ( o & 4 ) x0 += size;
+		if ( o & 2 ) y0 += size;
+		if ( o & 1 ) z0 += size;
+
+	}
+
+	return new Box3( new Vector3( x0, y0, z0 ), new Vector3( x0 + size, y0 + size, z0 + size ) );
+
+}
+
+export { PointOctree };
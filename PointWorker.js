@@ -0,0 +1,119 @@
+/**
+ * Shared plumbing of the point-cloud workers (ChangeDetection.js,
+ * PointClassify.js): each of those files is both the library and its own
+ * module Web Worker, and only differs in the function it runs. No 'three'
+ * import, import maps do not apply to workers.
+ *
+ *	// in the page: resolves with compute( ...args, options ), run in the worker
+ *	runInWorker( new URL( './Foo.js', import.meta.url ), computeFoo, [ positions ], options, onProgress );
+ *
+ *	// at the end of Foo.js: answers the messages when Foo.js runs as the worker
+ *	serveWorker( computeFoo, ( result ) => [ result.values.buffer ] );
+ *
+ * compute( ...args, options ) reports progress through options.onProgress( loaded, total ).
+ * Where there are no workers it runs on the calling thread.
+ *
+ * Message in:  { args, options }
+ * Messages out:
+ *	{ type: 'progress', loaded, total }
+ *	{ type: 'done', result }
+ *	{ type: 'error', message }
+ */
+
+// transfer: buffers of args handed over to the worker (the caller cannot use them afterwards)
+function runInWorker( url, compute, args, options = {}, onProgress, transfer = [] ) {
+
+	const { onProgress: _, ...plain } = options;
+
+	if ( typeof Worker === 'undefined' ) {
+
+		return new Promise( ( resolve ) => resolve( compute( ...args, { ...plain, onProgress } ) ) );
+
+	}
+
+	return new Promise( ( resolve, reject ) => {
+
+		const worker = new Worker( url, { type: 'module' } );
+
+		worker.onmessage = ( e ) => {
+
+			const msg = e.data;
+
+			if ( msg.type === 'progress' ) {
+
+				if ( onProgress ) onProgress( msg.loaded, msg.total );
+
+			} else if ( msg.type === 'done' ) {
+
+				worker.terminate();
+				resolve( msg.result );
+
+			} else if ( msg.type === 'error' ) {
+
+				worker.terminate();
+				reject( new Error( msg.message ) );
+
+			}
+
+		};
+
+		worker.onerror = ( e ) => {
+
+			worker.terminate();
+			reject( new Error( e.message || `${ String( url ).split( '/' ).pop().replace( /\.js$/, '' ) }: worker failed` ) );
+
+		};
+
+		worker.postMessage( { args, options: plain }, transfer );
+
+	} );
+
+}
+
+// resultTransfer( result ) → buffers of the result handed back to the page; does nothing outside a worker
+function serveWorker( compute, resultTransfer = () => [] ) {
+
+	if ( typeof WorkerGlobalScope === 'undefined' || ! ( self instanceof WorkerGlobalScope ) ) return;
+
+	self.onmessage = ( e ) => {
+
+		const { args, options } = e.data;
+
+		try {
+
+			const result = compute( ...args, {
+				...options,
+				onProgress: ( loaded, total ) => self.postMessage( { type: 'progress', loaded, total } ),
+			} );
+			self.postMessage( { type: 'done', result }, resultTransfer( result ) );
+
+		} catch ( err ) {
+
+			self.postMessage( { type: 'error', message: err && err.message ? err.message : String( err ) } );
+
+		}
+
+	};
+
+}
+
+// mean nearest-neighbour spacing guessed from the horizontal extent (riverbeds are 2.5D)
+function estimateSpacing( pos, n ) {
+
+	let minX = Infinity, minY = Infinity, maxX = - Infinity, maxY = - Infinity;
+	for ( let i = 0; i < n; i ++ ) {
+
+		const x = pos[ i * 3 ], y = pos[ i * 3 + 1 ];
+		if ( x < minX ) minX = x;
+		if ( x > maxX ) maxX = x;
+		if ( y < minY ) minY = y;
+		if ( y > maxY ) maxY = y;
+
+	}
+
+	const area = Math.max( ( maxX - minX ) * ( maxY - minY ), 1e-6 );
+	return Math.max( Math.sqrt( area / n ), 0.01 );
+
+}
+
+export { runInWorker, serveWorker, estimateSpacing };
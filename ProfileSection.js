@@ -0,0 +1,210 @@
+/**
+ * 河床断面：沿用户点出的折线，取走廊内的点，得到 高程–里程 剖面
+ *
+ *   折线 [[x,y], ...]（≥2 点），走廊宽 width（米，折线两侧各 width/2）
+ *   每个点投影到最近的一段：里程 = 前面各段长度之和 + 段内投影长度
+ *   首、尾两端不外延；中间拐点处按到拐点的距离归到较近的一段
+ *
+ * 剖面线按里程分格，每格取“最低面”（同 DEMVolume：格内最低点往上 DEM_BAND 内的点取平均），
+ * 全量点云里桥墩、桥面的点不会把河床线抬高。
+ *
+ * 实测断面（线扫）：顶点本身就是折线，里程取顶点处的累计长度，逐点与点云剖面线比较高程。
+ * 线扫文件的行序不一定沿测线（连出来是锯齿），principalOrder 按主方向上的投影重新排序。
+ *
+ * 坐标为场景坐标（米），不依赖 three。
+ */
+
+import { DEM_BAND } from './DEMVolume.js';
+
+// 剖面线分格：格长不小于 MIN_STEP、不小于走廊半宽，整条线不超过 MAX_BINS 格
+const MIN_STEP = 0.05;
+const MAX_BINS = 2000;
+
+// 各顶点处的累计里程
+function polylineChainage(polyline){
+  const cum = [0];
+  for(let k = 1; k < polyline.length; k++){
+    cum.push(cum[k - 1] + Math.hypot(polyline[k][0] - polyline[k - 1][0], polyline[k][1] - polyline[k - 1][1]));
+  }
+  return cum;
+}
+
+// (x, y) → 折线上最近的投影 { chainage, offset }（offset 为到折线的水平距离）；超出首尾两端返回 null
+function projectToPolyline(polyline, cum, x, y){
+  let best = null;
+  const last = polyline.length - 2;
+  for(let k = 0; k <= last; k++){
+    const [xa, ya] = polyline[k], [xb, yb] = polyline[k + 1];
+    const dx = xb - xa, dy = yb - ya, len2 = dx * dx + dy * dy;
+    if(!len2) continue;
+    let t = ((x - xa) * dx + (y - ya) * dy) / len2;
+    if((t < 0 && k === 0) || (t > 1 && k === last)) continue;
+    t = Math.min(1, Math.max(0, t));
+    const offset = Math.hypot(x - xa - t * dx, y - ya - t * dy);
+    if(!best || offset < best.offset) best = { chainage: cum[k] + t * (cum[k + 1] - cum[k]), offset };
+  }
+  return best;
+}
+
+// 里程 → 折线上的 [x, y]
+function pointAtChainage(polyline, cum, chainage){
+  let k = 0;
+  while(k < polyline.length - 2 && cum[k + 1] < chainage) k++;
+  const seg = cum[k + 1] - cum[k];
+  const t = seg > 0 ? Math.min(1, Math.max(0, (chainage - cum[k]) / seg)) : 0;
+  return [
+    polyline[k][0] + t * (polyline[k + 1][0] - polyline[k][0]),
+    polyline[k][1] + t * (polyline[k + 1][1] - polyline[k][1]),
+  ];
+}
+
+// 点云（Float32Array x,y,z…）→ 走廊内的点 { length, chainage, z }（按里程升序）
+function extractProfile(pos, polyline, width){
+  if(polyline.length < 2) throw new Error('断面至少需要 2 个点');
+  const half = width / 2;
+  const cum = polylineChainage(polyline);
+
+  // 先用走廊外包框粗筛
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for(const [x, y] of polyline){
+    if(x < minX) minX = x;
+    if(x > maxX) maxX = x;
+    if(y < minY) minY = y;
+    if(y > maxY) maxY = y;
+  }
+  minX -= half; minY -= half; maxX += half; maxY += half;
+
+  const ch = [], zs = [];
+  for(let i = 0; i < pos.length; i += 3){
+    const x = pos[i], y = pos[i + 1];
+    if(x < minX || x > maxX || y < minY || y > maxY) continue;
+    const p = projectToPolyline(polyline, cum, x, y);
+    if(!p || p.offset > half) continue;
+    ch.push(p.chainage);
+    zs.push(pos[i + 2]);
+  }
+
+  const order = ch.map((_, k) => k).sort((a, b) => ch[a] - ch[b]);
+  const chainage = new Float32Array(order.length), z = new Float32Array(order.length);
+  order.forEach((k, i) => { chainage[i] = ch[k]; z[i] = zs[k]; });
+  return { length: cum[cum.length - 1], chainage, z };
+}
+
+function profileStep(length, width){
+  return Math.max(MIN_STEP, width / 2, length / MAX_BINS);
+}
+
+// 剖面点 → 剖面线 { step, chainage(格中心), z }，空格为 NaN
+function binProfile(profile, step){
+  const n = Math.max(1, Math.ceil(profile.length / step));
+  const low = new Float32Array(n).fill(Infinity);
+  const binOf = (c) => Math.min(n - 1, Math.max(0, Math.floor(c / step)));
+
+  for(let i = 0; i < profile.z.length; i++){
+    const b = binOf(profile.chainage[i]);
+    if(profile.z[i] < low[b]) low[b] = profile.z[i];
+  }
+
+  const sum = new Float64Array(n), count = new Uint32Array(n);
+  for(let i = 0; i < profile.z.length; i++){
+    const b = binOf(profile.chainage[i]);
+    if(profile.z[i] <= low[b] + DEM_BAND){ sum[b] += profile.z[i]; count[b]++; }
+  }
+
+  const chainage = new Float32Array(n), z = new Float32Array(n);
+  for(let b = 0; b < n; b++){
+    chainage[b] = Math.min(profile.length, (b + 0.5) * step);
+    z[b] = count[b] ? sum[b] / count[b] : NaN;
+  }
+  return { step, chainage, z };
+}
+
+// 剖面线在某里程处的高程（相邻格线性插值，两侧都无数据为 NaN）
+function lineZAt(line, chainage){
+  const { step, z } = line;
+  const f = chainage / step - 0.5;
+  const b0 = Math.min(z.length - 1, Math.max(0, Math.floor(f))), b1 = Math.min(z.length - 1, b0 + 1);
+  const t = Math.min(1, Math.max(0, f - b0));
+  if(Number.isNaN(z[b0])) return t > 0.5 ? z[b1] : NaN;
+  if(Number.isNaN(z[b1])) return t <= 0.5 ? z[b0] : NaN;
+  return z[b0] + (z[b1] - z[b0]) * t;
+}
+
+// 实测断面 { chainage, z }（里程升序）在某里程处的高程：相邻顶点线性插值，超出两端为 NaN
+function measuredZAt(measured, chainage){
+  const { chainage: ch, z } = measured;
+  if(!ch.length || chainage < ch[0] || chainage > ch[ch.length - 1]) return NaN;
+  let k = 1;
+  while(k < ch.length - 1 && ch[k] < chainage) k++;
+  const seg = ch[k] - ch[k - 1];
+  return seg > 0 ? z[k - 1] + (z[k] - z[k - 1]) * (chainage - ch[k - 1]) / seg : z[k];
+}
+
+// 实测 − 点云（正 = 实测高于点云）→ { deviation(每个顶点，点云无数据为 NaN), count, mean, rms, maxAbs }
+function compareMeasured(measured, line){
+  const deviation = new Float32Array(measured.z.length);
+  let count = 0, sum = 0, sum2 = 0, maxAbs = 0;
+  for(let i = 0; i < deviation.length; i++){
+    const d = deviation[i] = measured.z[i] - lineZAt(line, measured.chainage[i]);
+    if(Number.isNaN(d)) continue;
+    count++; sum += d; sum2 += d * d;
+    if(Math.abs(d) > Math.abs(maxAbs)) maxAbs = d;
+  }
+  return {
+    deviation, count,
+    mean: count ? sum / count : NaN,
+    rms: count ? Math.sqrt(sum2 / count) : NaN,
+    maxAbs: count ? maxAbs : NaN,
+  };
+}
+
+// 点 [{x, y}, ...] 的连线总长（水平）
+function pathLength(pts){
+  let len = 0;
+  for(let i = 1; i < pts.length; i++) len += Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+  return len;
+}
+
+// 点 [{x, y}, ...] 按主方向（xy 协方差最大特征向量）上的投影排序 → 下标数组；
+// 起点仍在文件首点那一端
+function principalOrder(pts){
+  const n = pts.length;
+  if(n < 3) return pts.map((_, i) => i);
+
+  let mx = 0, my = 0;
+  for(const p of pts){ mx += p.x; my += p.y; }
+  mx /= n; my /= n;
+  let sxx = 0, syy = 0, sxy = 0;
+  for(const p of pts){
+    const dx = p.x - mx, dy = p.y - my;
+    sxx += dx * dx; syy += dy * dy; sxy += dx * dy;
+  }
+  const theta = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  let ux = Math.cos(theta), uy = Math.sin(theta);
+  const along = (p) => (p.x - mx) * ux + (p.y - my) * uy;
+  if(along(pts[0]) > along(pts[n - 1])){ ux = -ux; uy = -uy; }
+
+  const proj = pts.map(along);
+  return proj.map((_, i) => i).sort((a, b) => proj[a] - proj[b]);
+}
+
+// 按文件顺序连线比按主方向排序长出一半以上，视为行序打乱（锯齿）
+function isZigZag(pts){
+  const order = principalOrder(pts);
+  return pathLength(pts) > 1.5 * pathLength(order.map(i => pts[i]));
+}
+
+export {
+  polylineChainage,
+  projectToPolyline,
+  pointAtChainage,
+  extractProfile,
+  profileStep,
+  binProfile,
+  lineZAt,
+  measuredZAt,
+  compareMeasured,
+  pathLength,
+  principalOrder,
+  isZigZag,
+};
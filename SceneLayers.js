@@ -0,0 +1,115 @@
+/**
+ * 图层列表：场景里的每个显示对象（点云、曲面、线扫、声纳站、测量、标注……）登记为一个图层，
+ * 统一设置可见、不透明度、着色方式、点大小。面板、缩放到图层在 viewer 里做。
+ *
+ *   const layers = createLayerList();
+ *   const layer = layers.add({ name, kind, obj, scene: true, onVisible(v){ ... } });
+ *
+ *   kind：'cloud' 点云 | 'mesh' 曲面 | 'octree' 八叉树点云 | 'lines' 线扫 | 'sonar' 声纳站
+ *         | 'measure' 测量 | 'annotation' 标注
+ *   scene：为 true 的随当前场景一起清除；其余（叠加的点云、测量、标注）换场景时保留
+ *   removable：面板上可以单独移除
+ *   onVisible(v)：显示 / 隐藏时额外要做的事（如声纳站的屏幕文字）
+ *
+ * 图层 { id, name, kind, obj, scene, removable, colorMode, opacity, pointSize, ... }，add 时多给的字段原样保留；
+ * 可见性就是 obj.visible。colorMode（'vertex' | 'continuous' | 'discrete' | 'class'）只对点云 / 曲面有意义，
+ * 由 viewer 按它挂图例着色（LegendShading.attach）或换成类别颜色；pointSize 只对点云有意义。
+ *
+ * 不依赖 three：只用对象的 visible / traverse / material。
+ */
+
+const MODEL_KINDS = new Set(['cloud', 'mesh', 'octree']);
+const POINT_KINDS = new Set(['cloud', 'octree']);
+
+const hasColorMode = (layer) => MODEL_KINDS.has(layer.kind);
+const hasPointSize = (layer) => POINT_KINDS.has(layer.kind);
+
+// 对象下的所有材质（去重；PointOctree 的共用材质挂在自身上，分块可能还没加载）
+function materialsOf(obj){
+  const set = new Set();
+  const add = (m) => { for(const x of [].concat(m || [])) set.add(x); };
+  add(obj.material);
+  obj.traverse?.((o) => add(o.material));
+  return [...set];
+}
+
+// 不透明度按比例乘在材质原有的 opacity 上（原值记在 userData.layerOpacity）
+function applyOpacity(obj, opacity){
+  for(const m of materialsOf(obj)){
+    if(!m.userData.layerOpacity) m.userData.layerOpacity = { opacity: m.opacity, transparent: m.transparent };
+    const base = m.userData.layerOpacity;
+    const transparent = base.transparent || opacity < 1;
+    if(m.transparent !== transparent){ m.transparent = transparent; m.needsUpdate = true; }
+    m.opacity = base.opacity * opacity;
+  }
+}
+
+function applyPointSize(obj, size){
+  for(const m of materialsOf(obj)) if(m.isPointsMaterial) m.size = size;
+}
+
+// 图层增删时通知 onChange；可见、不透明度等属性变化不通知（面板拖动滑块时不重画），需要时调 refresh
+function createLayerList(){
+  const layers = [];
+  const listeners = [];
+  let nextId = 1;
+  const changed = () => { for(const fn of listeners) fn(layers); };
+
+  return {
+    layers,
+
+    onChange(fn){ listeners.push(fn); },
+    refresh: changed,
+
+    add(spec){
+      const layer = { scene: false, removable: false, onVisible: null, colorMode: 'vertex', opacity: 1, pointSize: null, ...spec, id: nextId++ };
+      layers.push(layer);
+      changed();
+      return layer;
+    },
+
+    remove(layer){
+      const i = layers.indexOf(layer);
+      if(i < 0) return;
+      layers.splice(i, 1);
+      changed();
+    },
+
+    // 移除满足条件的图层（对象的移出场景、释放由调用方负责）
+    removeWhere(pred){
+      const gone = layers.filter(pred);
+      if(!gone.length) return gone;
+      for(const l of gone) layers.splice(layers.indexOf(l), 1);
+      changed();
+      return gone;
+    },
+
+    byId(id){ return layers.find(l => l.id === id) || null; },
+
+    setVisible(layer, v){
+      layer.obj.visible = !!v;
+      layer.onVisible?.(!!v);
+    },
+
+    setOpacity(layer, v){
+      layer.opacity = v;
+      applyOpacity(layer.obj, v);
+    },
+
+    setPointSize(layer, v){
+      if(!hasPointSize(layer)) return;
+      layer.pointSize = v;
+      applyPointSize(layer.obj, v);
+    },
+
+    setColorMode(layer, mode){
+      if(hasColorMode(layer)) layer.colorMode = mode;
+    },
+  };
+}
+
+export {
+  hasColorMode,
+  hasPointSize,
+  createLayerList,
+};
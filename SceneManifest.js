@@ -0,0 +1,321 @@
+/**
+ * 场景清单（index.json）解析 + 附加文件读取
+ *
+ * 每个场景在 index.json 里显式列出自己的文件，viewer 只加载清单里写了的，
+ * 不再根据 plyUrl 所在文件夹去“猜”文件名；清单里写了但取不到的文件会被记录下来并提示。
+ *
+ *  {
+ *    "id": "qingyijiang_20250701",
+ *    "bridgeId": "qingyijiang",
+ *    "date": "2025-07-01",
+ *    "plyUrl": "./data/qingyijiang/2025-07-01/cloud.ply",          // 全量点云（河床+桥梁）；也可以是 .las / .laz
+ *    "assets": {
+ *      "bedPlyUrl":   "./data/.../cloud2.ply",                      // 仅河床点云（可选；没有时 viewer 自动分类，见 PointClassify.js）
+ *      "coordOffset": "./data/.../zuobiaozhuanhuan.txt",            // 坐标转换（可选）：Δx,Δy,Δz / 七参数 / 4×4 矩阵，见 parseCoordTransform
+ *      "legend":      "./data/.../cloud.legend.json",               // 图例（可选）
+ *      "octree":      "./data/.../cloud.octree/octree.json",        // 八叉树分块点云（可选，ply2octree.mjs 生成；有则全量显示用它）
+ *      "origin":      [604000, 3317000, 0],                          // 本地原点（可选，见 LocalOrigin.js；也可写在桥梁条目上，同桥各期共用）
+ *      "crs":         "EPSG:4543",                                   // 平面坐标系（可选，见 GeoCRS.js；也可写在桥梁条目上）
+ *      "verticalDatum": { "name":"1985国家高程基准", "alternatives":[ { "name":"吴淞高程", "offset":1.8 } ] },  // 高程基准（可选，同上）
+ *      "sonars":    [ { "key":"shengna1", "name":"声纳1", "url":"./data/.../shengna1.txt",          // 每个文件一个声纳位置
+ *                       "heading":90, "range":18, "aperture":120, "cloud":"./data/.../qyjshengna1.ply" } ],
+ *      "sonarList": "./data/.../sonars.csv",                        // 声纳站列表（可选，见 parseSonarList），与 sonars 合并显示
+ *      "lineScans": [ { "name":"xiansao", "url":"./data/.../xiansao.txt", "color":"#8000ff", "order":"principal" } ],
+ *      "extraPlys": [ { "name":"qyjshengna1", "url":"./data/.../qyjshengna1.ply" } ]
+ *    }
+ *  }
+ *
+ * 线扫可以有任意多条；color 可选（#rrggbb），order 为 "file"（默认，按文件行序连线）或
+ * "principal"（按主方向投影排序，文件行序打乱时用，见 ProfileSection.principalOrder）。
+ *
+ * 声纳站的 heading（度，北起顺时针）、range（扫描半径 m）、aperture（开角 度）、cloud（该站子点云）都可选，
+ * 含义见 SonarCoverage.js；作为某站 cloud 的文件即使也写在 extraPlys 里，也只按声纳子点云加载一次。
+ *
+ * 桥梁条目上还可以写 "monitors"（冲刷监测点，直接写或写 JSON 文件路径），格式见 ScourMonitor.js。
+ *
+ * 不依赖 three，纯数据 + fetch。
+ */
+
+import { parseOrigin } from './LocalOrigin.js';
+import { parseMonitors } from './ScourMonitor.js';
+
+// 清单里某个文件取不到 / 内容不可用
+class SceneAssetError extends Error {
+  constructor(kind, url, reason){
+    super(`${kind}: ${url} (${reason})`);
+    this.name = 'SceneAssetError';
+    this.kind = kind;
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+// 把一个场景条目整理成固定结构（缺的字段给空值，方便调用方直接遍历）；bridge 为所属桥梁条目（可选，提供共用的 origin / crs / verticalDatum）
+function resolveSceneAssets(scene, bridge){
+  const a = scene?.assets || {};
+  const list = (v)=> Array.isArray(v) ? v.filter(it => it && it.url) : [];
+  const sonars = list(a.sonars).map((it, i) => ({
+    key: it.key || ('sonar' + (i+1)), name: it.name || it.key || ('声纳' + (i+1)), url: it.url,
+    heading: Number.isFinite(it.heading) ? ((it.heading % 360) + 360) % 360 : null,
+    range: it.range > 0 ? it.range : null,
+    aperture: it.aperture > 0 ? it.aperture : null,
+    cloud: it.cloud || null,
+  }));
+  return {
+    plyUrl:      scene?.plyUrl || null,
+    bedPlyUrl:   a.bedPlyUrl || null,
+    coordOffset: a.coordOffset || null,
+    legend:      a.legend || null,
+    octree:      a.octree || null,
+    origin:      parseOrigin(a.origin) || parseOrigin(bridge?.origin),
+    crs:         a.crs ?? bridge?.crs ?? null,
+    verticalDatum: a.verticalDatum ?? bridge?.verticalDatum ?? null,
+    sonarList:   a.sonarList || null,
+    sonars,
+    lineScans:   list(a.lineScans).map((it, i) => ({ name: it.name || ('线扫' + (i+1)), url: it.url, color: it.color || null, order: it.order === 'principal' ? 'principal' : 'file' })),
+    extraPlys:   list(a.extraPlys).filter(it => !sonars.some(s => s.cloud === it.url)).map((it, i) => ({ name: it.name || ('附加模型' + (i+1)), url: it.url })),
+  };
+}
+
+// 读取清单里的一个文本文件；取不到或为空时抛 SceneAssetError
+async function fetchAssetText(kind, url){
+  let r;
+  try{
+    r = await fetch(url + (url.includes('?') ? '&' : '?') + '_=' + Date.now()); // 防缓存
+  }catch(e){
+    throw new SceneAssetError(kind, url, e?.message || '网络错误');
+  }
+  if(!r.ok) throw new SceneAssetError(kind, url, 'HTTP ' + r.status);
+  const t = (await r.text()).trim();
+  if(!t) throw new SceneAssetError(kind, url, '文件为空');
+  return t;
+}
+
+async function fetchAssetJSON(kind, url){
+  const t = await fetchAssetText(kind, url);
+  try{
+    return JSON.parse(t);
+  }catch(_){
+    throw new SceneAssetError(kind, url, 'JSON 格式错误');
+  }
+}
+
+// 解析 "x,y,z"（也接受空白分隔）
+function parseXYZ(text){
+  if(!text) return null;
+  const parts = String(text).trim().split(/[,\s]+/).filter(Boolean);
+  if(parts.length < 3) return null;
+  const x = parseFloat(parts[0]);
+  const y = parseFloat(parts[1]);
+  const z = parseFloat(parts[2]);
+  if(!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return null;
+  return {x,y,z};
+}
+
+// 解析多行 "x y z" / "x,y,z"，跳过无法解析的行
+function parseXYZLines(text){
+  const pts = [];
+  for(const line of String(text || '').split(/\r?\n/)){
+    const xyz = parseXYZ(line);
+    if(xyz) pts.push(xyz);
+  }
+  return pts;
+}
+
+/*
+ * 坐标转换文件（zuobiaozhuanhuan.txt）：历史本地坐标 → 绝对坐标。按数字个数区分（逗号/空白分隔，# 开头的行为注释）：
+ *
+ *   3 个   Δx Δy Δz                      平移：P = p + Δ
+ *   7 个   Δx Δy Δz εx εy εz m           布尔莎七参数：P = Δ + (1 + m·1e-6)·R·p
+ *                                         ε 为角秒，m 为 ppm；R = Rx(εx)·Ry(εy)·Rz(εz)，坐标系旋转约定（小角度时即
+ *                                         [[1, εz, -εy], [-εz, 1, εx], [εy, -εx, 1]]），大角度（如声纳航向偏差）也精确
+ *   16 个  4×4 矩阵（按行）                P = M·[p, 1]，最后一行须为 0 0 0 1
+ *
+ * 返回 { kind: 'translation' | 'helmert' | 'matrix', matrix }，matrix 为按行的 16 个数；无法识别返回 null。
+ */
+function parseCoordTransform(text){
+  const nums = String(text || '').split(/\r?\n/)
+    .filter(line => line.trim()[0] !== '#')
+    .join(' ').split(/[,\s]+/).filter(Boolean).map(Number);
+  if(!nums.every(Number.isFinite)) return null;
+
+  if(nums.length === 3){
+    const [x, y, z] = nums;
+    return { kind: 'translation', matrix: [1,0,0,x, 0,1,0,y, 0,0,1,z, 0,0,0,1] };
+  }
+
+  if(nums.length === 7){
+    const [tx, ty, tz] = nums;
+    const [ex, ey, ez] = nums.slice(3, 6).map(v => v / 3600 * Math.PI / 180);
+    const k = 1 + nums[6] * 1e-6;
+    // 坐标系旋转：Rx(a) = [[1,0,0],[0,cos,sin],[0,-sin,cos]]，Ry、Rz 同理
+    const rx = [[1,0,0],[0,Math.cos(ex),Math.sin(ex)],[0,-Math.sin(ex),Math.cos(ex)]];
+    const ry = [[Math.cos(ey),0,-Math.sin(ey)],[0,1,0],[Math.sin(ey),0,Math.cos(ey)]];
+    const rz = [[Math.cos(ez),Math.sin(ez),0],[-Math.sin(ez),Math.cos(ez),0],[0,0,1]];
+    const mul = (a, b) => a.map(row => b[0].map((_, j) => row.reduce((s, v, i) => s + v * b[i][j], 0)));
+    const r = mul(mul(rx, ry), rz);
+    return { kind: 'helmert', matrix: [
+      k*r[0][0], k*r[0][1], k*r[0][2], tx,
+      k*r[1][0], k*r[1][1], k*r[1][2], ty,
+      k*r[2][0], k*r[2][1], k*r[2][2], tz,
+      0, 0, 0, 1,
+    ] };
+  }
+
+  if(nums.length === 16){
+    const last = nums.slice(12);
+    if(Math.abs(last[0]) > 1e-12 || Math.abs(last[1]) > 1e-12 || Math.abs(last[2]) > 1e-12 || Math.abs(last[3] - 1) > 1e-12) return null;
+    return { kind: 'matrix', matrix: nums };
+  }
+
+  return null;
+}
+
+/*
+ * 声纳站列表（sonars.csv）：每行一个站，逗号或制表符分隔，# 开头的行为注释
+ *
+ *   名称, x, y, z[, 航向][, 时间]
+ *   声纳1, 604123.40, 3317890.10, 1070.20, 45, 2025-07-01 10:20
+ *
+ * 航向为度，北起顺时针；时间原样保留。首行可为表头（name/名称, x, y, z, heading/航向, time/时间），
+ * 有表头时按表头找列，还可以有 range/半径、aperture/开角、cloud/点云 列（同清单里 sonars 的字段，
+ * 点云路径相对于本文件所在目录）。坐标与其它文件一样：绝对坐标或历史本地坐标（套用坐标转换）。
+ *
+ * 返回 { stations: [{ name, x, y, z, heading, time, range, aperture, cloud }], skipped }，缺省为 null。
+ */
+const SONAR_COLUMNS = {
+  name: /^(name|名称|站名)$/i,
+  x: /^x$/i,
+  y: /^y$/i,
+  z: /^z$/i,
+  heading: /^(heading|航向|朝向)$/i,
+  time: /^(time|timestamp|时间)$/i,
+  range: /^(range|半径|量程)$/i,
+  aperture: /^(aperture|开角)$/i,
+  cloud: /^(cloud|点云)$/i,
+};
+
+function parseSonarList(text){
+  const rows = String(text || '').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && line[0] !== '#')
+    .map(line => line.split(/\s*[,\t]\s*/));
+
+  let col = { name: 0, x: 1, y: 2, z: 3, heading: 4, time: 5, range: -1, aperture: -1, cloud: -1 };
+  if(rows.length && !Number.isFinite(parseFloat(rows[0][1]))){
+    const head = rows.shift();
+    col = {};
+    for(const [key, re] of Object.entries(SONAR_COLUMNS)) col[key] = head.findIndex(h => re.test(h));
+  }
+
+  const stations = [];
+  let skipped = 0;
+  for(const r of rows){
+    const [x, y, z] = [r[col.x], r[col.y], r[col.z]].map(v => v === undefined ? NaN : Number(v));
+    if(!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)){ skipped++; continue; }
+    const num = (key) => col[key] >= 0 && r[col[key]] !== undefined && r[col[key]] !== '' ? Number(r[col[key]]) : null;
+    const heading = num('heading'), range = num('range'), aperture = num('aperture');
+    stations.push({
+      name: (col.name >= 0 && r[col.name]) || ('声纳' + (stations.length + 1)),
+      x, y, z,
+      heading: Number.isFinite(heading) ? ((heading % 360) + 360) % 360 : null,
+      time: (col.time >= 0 && r[col.time]) || null,
+      range: range > 0 ? range : null,
+      aperture: aperture > 0 ? aperture : null,
+      cloud: (col.cloud >= 0 && r[col.cloud]) || null,
+    });
+  }
+  return { stations, skipped };
+}
+
+// 读取声纳站列表；一个站都没有时抛错。点云路径换成相对于页面的 url
+async function loadSonarListAsset(kind, url){
+  const { stations } = parseSonarList(await fetchAssetText(kind, url));
+  if(!stations.length) throw new SceneAssetError(kind, url, '没有可用的站点行（名称, x, y, z[, 航向][, 时间]）');
+  for(const st of stations) if(st.cloud) st.cloud = siblingUrl(url, st.cloud);
+  return stations;
+}
+
+// 相对于 url 所在目录的路径 → 相对于页面的 url；绝对路径、带协议的原样返回
+function siblingUrl(url, rel){
+  if(/^([a-z][a-z0-9+.-]*:|\/)/i.test(rel)) return rel;
+  return url.slice(0, url.lastIndexOf('/') + 1) + rel.replace(/^\.\//, '');
+}
+
+// 读取坐标转换文件
+async function loadCoordTransformAsset(kind, url){
+  const t = parseCoordTransform(await fetchAssetText(kind, url));
+  if(!t) throw new SceneAssetError(kind, url, '应为 Δx,Δy,Δz、七参数或 4×4 矩阵（最后一行 0 0 0 1）');
+  return t;
+}
+
+// 读取冲刷监测点文件（桥梁条目的 monitors 写成路径时）
+async function loadMonitorsAsset(kind, url){
+  const j = await fetchAssetJSON(kind, url);
+  try{
+    return parseMonitors(j);
+  }catch(e){
+    throw new SceneAssetError(kind, url, e.message);
+  }
+}
+
+// 读取一个坐标文件（声纳位置）
+async function loadXYZAsset(kind, url){
+  const xyz = parseXYZ(await fetchAssetText(kind, url));
+  if(!xyz) throw new SceneAssetError(kind, url, '无法解析 x,y,z');
+  return xyz;
+}
+
+// 读取一个线扫文件（多行 x y z）
+async function loadXYZLinesAsset(kind, url){
+  const pts = parseXYZLines(await fetchAssetText(kind, url));
+  if(!pts.length) throw new SceneAssetError(kind, url, '没有可用的 x y z 行');
+  return pts;
+}
+
+// 缺失文件汇总：加载过程中收集，结束后一次性提示
+function createMissingReport(){
+  const items = [];
+  return {
+    items,
+    add(err, kind, url){
+      const it = err instanceof SceneAssetError
+        ? { kind: err.kind, url: err.url, reason: err.reason }
+        : { kind, url, reason: err?.message || String(err) };
+      items.push(it);
+      console.warn('[场景文件缺失]', it.kind, it.url, it.reason);
+    },
+    // 包一层 promise：失败时记入清单并返回 null
+    track(kind, url, promise){
+      return promise.catch((err)=>{ this.add(err, kind, url); return null; });
+    },
+    summary(){
+      if(!items.length) return '';
+      return '缺少 ' + items.length + ' 项：\n' + items.map(it => `${it.kind}  ${fileNameOf(it.url)}  (${it.reason})`).join('\n');
+    },
+  };
+}
+
+function fileNameOf(url){
+  const clean = String(url).split('?')[0].split('#')[0];
+  return clean.split('/').pop();
+}
+
+export {
+  SceneAssetError,
+  resolveSceneAssets,
+  fetchAssetText,
+  fetchAssetJSON,
+  parseXYZ,
+  parseXYZLines,
+  loadXYZAsset,
+  loadXYZLinesAsset,
+  parseSonarList,
+  loadSonarListAsset,
+  siblingUrl,
+  parseCoordTransform,
+  loadCoordTransformAsset,
+  loadMonitorsAsset,
+  createMissingReport,
+  fileNameOf,
+};
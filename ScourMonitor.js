@@ -0,0 +1,147 @@
+/**
+ * 冲刷监测点：每座桥定义若干命名的监测点 / 监测区域（如“1# 墩上游墩头”），逐期取河床高程，
+ * 画高程随时间的趋势，冲刷深度超过阈值时告警
+ *
+ * 写在 index.json 的桥梁条目上，内容直接写在这里，或者写一个同格式 JSON 文件的路径：
+ *
+ *   "monitors": "./data/qingyijiang/monitors.json"
+ *
+ *   {
+ *     "warning": 1.0, "critical": 2.0,                          // 冲刷深度阈值（m），各点可单独覆盖；不写则不告警
+ *     "points": [
+ *       { "name": "1# 墩上游墩头", "x": 604012.3, "y": 3317045.8, "radius": 1.0 },
+ *       { "name": "2# 墩周边", "polygon": [[x,y], [x,y], [x,y]], "cell": 0.5, "baseline": 1069.8, "critical": 1.5 }
+ *     ]
+ *   }
+ *
+ * 也可以直接写 points 数组。坐标为绝对平面坐标（与拾取读数相同），高程为点云原始高程基准。
+ *   点：半径 radius（默认 1 m）内的点取“最低面”高程（DEMVolume.surfaceZAt）
+ *   区域：多边形内的点栅格化（格距 cell，默认 0.5 m），取最低的一格（最深的冲刷坑）
+ *
+ * 冲刷深度 = 基准高程 − 当期河床高程（正 = 冲刷）；基准高程 baseline 不写时取最早一期。
+ * 深度达到 warning 为预警（'warning'），达到 critical 为危险（'critical'），否则正常（'normal'）。
+ *
+ * 不依赖 three。
+ */
+
+import { commonGrid, rasterize, surfaceZAt, pointInPolygon } from './DEMVolume.js';
+
+const DEFAULT_RADIUS = 1;
+const DEFAULT_CELL = 0.5;
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// 可选的非负数；写了但不对时抛错
+function optionalNumber(v, what){
+  if(v === undefined || v === null) return null;
+  if(!isNum(v) || v < 0) throw new Error(`${what} 应为非负数：${JSON.stringify(v)}`);
+  return v;
+}
+
+// 监测点清单 → [{ name, x, y, radius, polygon, cell, baseline, warning, critical }]；格式不对抛错（说明哪一项）
+function parseMonitors(spec){
+  const list = Array.isArray(spec) ? spec : spec?.points;
+  if(!Array.isArray(list)) throw new Error('应为监测点数组或 { points: [...] }');
+  const warning = optionalNumber(spec.warning, 'warning');
+  const critical = optionalNumber(spec.critical, 'critical');
+
+  return list.map((p, i) => {
+    const name = p?.name ? String(p.name) : '监测点' + (i + 1);
+    const where = `监测点 ${name}：`;
+    let polygon = null;
+    if(p?.polygon !== undefined){
+      if(!Array.isArray(p.polygon) || p.polygon.length < 3 || !p.polygon.every(q => Array.isArray(q) && isNum(q[0]) && isNum(q[1]))){
+        throw new Error(where + 'polygon 应为至少 3 个 [x, y]');
+      }
+      polygon = p.polygon.map(q => [q[0], q[1]]);
+    }else if(!isNum(p?.x) || !isNum(p?.y)){
+      throw new Error(where + '缺少 x / y 或 polygon');
+    }
+
+    const m = {
+      name,
+      x: polygon ? polygon.reduce((s, q) => s + q[0], 0) / polygon.length : p.x,
+      y: polygon ? polygon.reduce((s, q) => s + q[1], 0) / polygon.length : p.y,
+      radius: DEFAULT_RADIUS,
+      polygon,
+      cell: DEFAULT_CELL,
+      baseline: null,
+      warning,
+      critical,
+    };
+    try{
+      m.radius = optionalNumber(p.radius, 'radius') || DEFAULT_RADIUS;
+      m.cell = optionalNumber(p.cell, 'cell') || DEFAULT_CELL;
+      if(p.baseline !== undefined && p.baseline !== null){
+        if(!isNum(p.baseline)) throw new Error('baseline 应为数值：' + JSON.stringify(p.baseline));
+        m.baseline = p.baseline;
+      }
+      if(p.warning !== undefined) m.warning = optionalNumber(p.warning, 'warning');
+      if(p.critical !== undefined) m.critical = optionalNumber(p.critical, 'critical');
+    }catch(e){
+      throw new Error(where + e.message);
+    }
+    if(m.warning !== null && m.critical !== null && m.critical < m.warning){
+      throw new Error(where + `critical（${m.critical}）小于 warning（${m.warning}）`);
+    }
+    return m;
+  });
+}
+
+// 点云（场景坐标 Float32Array x,y,z…）在监测点处的河床高程（场景坐标），没有点为 NaN；
+// origin 为场景原点 [x, y]（监测点是绝对坐标）
+function sampleMonitor(pos, m, origin = [0, 0]){
+  const [ox, oy] = origin;
+  if(!m.polygon) return surfaceZAt(pos, m.x - ox, m.y - oy, m.radius);
+
+  const poly = m.polygon.map(([x, y]) => [x - ox, y - oy]);
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for(const [x, y] of poly){
+    if(x < minX) minX = x;
+    if(x > maxX) maxX = x;
+    if(y < minY) minY = y;
+    if(y > maxY) maxY = y;
+  }
+  const inside = [];
+  for(let k = 0; k < pos.length; k += 3){
+    const x = pos[k], y = pos[k + 1];
+    if(x < minX || x > maxX || y < minY || y > maxY || !pointInPolygon(x, y, poly)) continue;
+    inside.push(x, y, pos[k + 2]);
+  }
+  if(!inside.length) return NaN;
+
+  const sub = new Float32Array(inside);
+  const dem = rasterize(commonGrid(m.cell, sub), sub);
+  let low = Infinity;
+  for(const z of dem) if(z < low) low = z;
+  return low;
+}
+
+// 冲刷深度 → 'normal' | 'warning' | 'critical'；深度未知为 null
+function scourLevel(depth, m){
+  if(Number.isNaN(depth)) return null;
+  if(m.critical !== null && depth >= m.critical) return 'critical';
+  if(m.warning !== null && depth >= m.warning) return 'warning';
+  return 'normal';
+}
+
+// 按日期先后的各期高程 zs（NaN = 该期没有数据，null = 还没取样）→ { baseline, depth, level }；
+// 没写 baseline 且最早一期还没取样时基准未知，深度都为 NaN
+function monitorTrend(m, zs){
+  let baseline = m.baseline ?? NaN;
+  if(m.baseline === null){
+    for(const z of zs){
+      if(z === null) break;
+      if(!Number.isNaN(z)){ baseline = z; break; }
+    }
+  }
+  const depth = zs.map(z => z === null ? NaN : baseline - z);
+  return { baseline, depth, level: depth.map(d => scourLevel(d, m)) };
+}
+
+export {
+  parseMonitors,
+  sampleMonitor,
+  scourLevel,
+  monitorTrend,
+};
@@ -0,0 +1,97 @@
+/**
+ * 声纳覆盖：每个声纳站的扫描范围（球 / 扇锥）与它自己的子点云，统计各站覆盖、重叠和空白
+ *
+ * 清单里声纳站可以写（见 SceneManifest.js）：
+ *   "range": 18          扫描半径（m）；不写时由子点云估计（各点到站点距离的 98% 分位）
+ *   "aperture": 120      开角（度，以航向为轴）；不写、没有航向或 ≥ 360 时按球显示
+ *   "cloud": "./data/.../qyjshengna1.ply"   该站扫得的子点云
+ *
+ * 覆盖统计把各站子点云（和可选的底图点云）栅格化到同一张网格上（DEMVolume.commonGrid），
+ * 每格记下哪些站有点（位掩码，最多 MAX_STATIONS 站）：
+ *   覆盖 = 至少一站有点；重叠 = 两站及以上有点；空白 = 底图有点而没有任何站有点
+ *
+ * 坐标为场景坐标（米），不依赖 three。
+ */
+
+import { commonGrid } from './DEMVolume.js';
+
+const RANGE_QUANTILE = 0.98;
+const MAX_STATIONS = 32;
+
+// 估计半径时最多取这么多点（等间隔抽样）
+const RANGE_SAMPLES = 200000;
+
+// 子点云（Float32Array x,y,z…）到站点 { x, y, z } 的距离分位数；没有点返回 null
+function estimateRange(station, pos){
+  const n = pos.length / 3;
+  if(!n) return null;
+  const stride = Math.max(1, Math.ceil(n / RANGE_SAMPLES));
+  const d = new Float32Array(Math.ceil(n / stride));
+  for(let k = 0, i = 0; k < n; k += stride, i++){
+    d[i] = Math.hypot(pos[k * 3] - station.x, pos[k * 3 + 1] - station.y, pos[k * 3 + 2] - station.z);
+  }
+  d.sort();
+  return d[Math.min(d.length - 1, Math.floor(d.length * RANGE_QUANTILE))];
+}
+
+// 各站子点云 + 底图（可为 null）→ { grid, mask(每格有点的站的位掩码), base(每格底图是否有点，无底图为 null), count }
+function coverageGrid(cell, clouds, base = null){
+  if(clouds.length > MAX_STATIONS) throw new Error(`覆盖统计最多支持 ${MAX_STATIONS} 个声纳站`);
+  const grid = commonGrid(cell, ...clouds, ...(base ? [base] : []));
+  const { x0, y0, nx, ny } = grid;
+
+  const mark = (pos, fn) => {
+    for(let k = 0; k < pos.length; k += 3){
+      const i = Math.floor((pos[k] - x0) / grid.cell), j = Math.floor((pos[k + 1] - y0) / grid.cell);
+      if(i >= 0 && j >= 0 && i < nx && j < ny) fn(i + j * nx);
+    }
+  };
+
+  const mask = new Uint32Array(nx * ny);
+  clouds.forEach((pos, s) => mark(pos, (c) => { mask[c] |= 1 << s; }));
+
+  let onBase = null;
+  if(base){
+    onBase = new Uint8Array(nx * ny);
+    mark(base, (c) => { onBase[c] = 1; });
+  }
+  return { grid, mask, base: onBase, count: clouds.length };
+}
+
+// 覆盖统计（面积 m²）→ { stations:[{ area, only }], covered, overlap, gap }
+//   only 为只有该站覆盖的面积；没有底图时 gap 为 null
+function coverageStats(cov){
+  const a = cov.grid.cell * cov.grid.cell;
+  const area = new Array(cov.count).fill(0), only = new Array(cov.count).fill(0);
+  let covered = 0, overlap = 0, gap = 0;
+
+  for(let c = 0; c < cov.mask.length; c++){
+    const m = cov.mask[c];
+    if(!m){
+      if(cov.base && cov.base[c]) gap++;
+      continue;
+    }
+    covered++;
+    const single = (m & (m - 1)) === 0;
+    if(!single) overlap++;
+    for(let s = 0; s < cov.count; s++){
+      if(!(m & (1 << s))) continue;
+      area[s]++;
+      if(single) only[s]++;
+    }
+  }
+
+  return {
+    stations: area.map((v, s) => ({ area: v * a, only: only[s] * a })),
+    covered: covered * a,
+    overlap: overlap * a,
+    gap: cov.base ? gap * a : null,
+  };
+}
+
+export {
+  MAX_STATIONS,
+  estimateRange,
+  coverageGrid,
+  coverageStats,
+};
@@ -0,0 +1,55 @@
+/**
+ * 时间轴动画：同一座桥的各期测量按日期依次播放，可在相邻两期的 DEM 曲面之间渐变
+ *
+ *   播放位置 p 为浮点的期次下标，取值 [0, count)：整数部分为当前期，小数部分为向下一期过渡的进度。
+ *   每期占 stepSeconds 秒；不渐变时到点直接换期，渐变时这段时间都在向下一期过渡，最后一期停留一段。
+ *
+ * 渐变：两期点云栅格化到同一张网格（DEMVolume.commonGrid / rasterize，格内取最低面），
+ * 逐格线性插值；只有一期有数据的格子保持该期高程。渐变曲面每帧都要改顶点，格数另有上限。
+ *
+ * 坐标为场景坐标（米），不依赖 three。
+ */
+
+import { commonGrid } from './DEMVolume.js';
+
+// 渐变曲面的格数上限，超过时放大格距
+const MORPH_MAX_CELLS = 250000;
+
+// 播放位置 → { index 当前期, next 下一期（最后一期为自身）, t 过渡进度 0–1 }
+function frameAt(p, count){
+  const index = Math.min(count - 1, Math.max(0, Math.floor(p)));
+  const next = Math.min(count - 1, index + 1);
+  return { index, next, t: next === index ? 0 : Math.min(1, Math.max(0, p - index)) };
+}
+
+// 往前走 dt 秒 → { p, ended }；走到末尾时 p 停在末尾
+function advance(p, dt, count, stepSeconds){
+  const q = p + dt / Math.max(stepSeconds, 1e-3);
+  return q >= count ? { p: count, ended: true } : { p: q, ended: false };
+}
+
+// 两期点云的渐变网格：按 cell 建网格，格数超过 MORPH_MAX_CELLS 时放大格距
+function morphGrid(cell, posA, posB){
+  const grid = commonGrid(cell, posA, posB);
+  const cells = grid.nx * grid.ny;
+  return cells > MORPH_MAX_CELLS ? commonGrid(grid.cell * Math.sqrt(cells / MORPH_MAX_CELLS), posA, posB) : grid;
+}
+
+// 两张 DEM 按 t 插值写入 out（同为 Float32Array，无数据为 NaN）
+function lerpDEM(demA, demB, t, out){
+  for(let c = 0; c < out.length; c++){
+    const a = demA[c], b = demB[c];
+    if(Number.isNaN(a)) out[c] = b;
+    else if(Number.isNaN(b)) out[c] = a;
+    else out[c] = a + (b - a) * t;
+  }
+  return out;
+}
+
+export {
+  MORPH_MAX_CELLS,
+  frameAt,
+  advance,
+  morphGrid,
+  lerpDEM,
+};
@@ -0,0 +1,339 @@
+import {
+	BufferAttribute,
+	BufferGeometry,
+	Color,
+	FileLoader,
+	Loader
+} from 'three';
+import { resolveOrigin } from './LocalOrigin.js';
+
+/**
+ * Description: A THREE loader for delimited text point clouds: `x y z [r g b]`
+ * lines like xiansao.txt, CSV with or without a header row, tab or semicolon
+ * separated files. Delimiter and header row are detected automatically; data
+ * rows of comma or whitespace separated files may mix the two;
+ * which column is X / Y / Z / colour / depth is taken from setOptions() or
+ * guessed from the header names (and column order when there is no header).
+ *
+ * The geometry gets position, color (when r, g, b are mapped; 0-1, 0-255 and
+ * 0-65535 values are recognised) and a `depth` attribute when a depth column
+ * is mapped. Lines that do not parse are skipped and counted in
+ * geometry.userData.xyz.skipped. Absolute coordinates are shifted by the
+ * local origin (setOrigin() or chosen from the first point, see LocalOrigin.js)
+ * recorded in geometry.userData.origin.
+ *
+ * Usage:
+ *	const loader = new XYZLoader();
+ *	loader.setOptions( { delimiter: ',', hasHeader: true, mapping: { x: 1, y: 2, z: 3 } } );
+ *	loader.load( './data/…/points.csv', function ( geometry ) {
+ *
+ *		scene.add( new THREE.Points( geometry ) );
+ *
+ *	} );
+ *
+ * sniffDelimited( text ) returns what was detected (delimiter, header, column
+ * names, preview rows and a guessed mapping) for a column-mapping UI.
+ */
+
+const _color = new Color();
+
+// delimiter candidates; ' ' means any run of spaces / tabs
+const DELIMITERS = [ ',', '\t', ';', ' ' ];
+
+// data rows of whitespace-delimited files may also use commas (xiansao.txt has tab and comma lines),
+// like SceneManifest.parseXYZ; CSV rows are split strictly so that fields with spaces keep their column
+const MIXED_SEPARATORS = {
+	' ': /\s*,\s*|\s+/,
+	'\t': /\s*[,\t]\s*/,
+};
+
+const ROLES = [ 'x', 'y', 'z', 'r', 'g', 'b', 'depth' ];
+
+const SAMPLE_LINES = 50;
+
+// header names (lower case) recognised for each role
+const ROLE_NAMES = {
+	x: [ 'x', 'e', 'east', 'easting', 'lon', 'longitude' ],
+	y: [ 'y', 'n', 'north', 'northing', 'lat', 'latitude' ],
+	z: [ 'z', 'h', 'elev', 'elevation', 'height', 'alt', 'altitude', '高程' ],
+	r: [ 'r', 'red' ],
+	g: [ 'g', 'green' ],
+	b: [ 'b', 'blue' ],
+	depth: [ 'depth', 'd', '深度', '水深' ],
+};
+
+class XYZLoader extends Loader {
+
+	constructor( manager ) {
+
+		super( manager );
+
+		this.options = null;
+		this.origin = null;
+
+	}
+
+	load( url, onLoad, onProgress, onError ) {
+
+		const scope = this;
+
+		const loader = new FileLoader( this.manager );
+		loader.setPath( this.path );
+		loader.setResponseType( 'text' );
+		loader.setRequestHeader( this.requestHeader );
+		loader.setWithCredentials( this.withCredentials );
+		loader.load( url, function ( text ) {
+
+			try {
+
+				onLoad( scope.parse( text ) );
+
+			} catch ( e ) {
+
+				if ( onError ) {
+
+					onError( e );
+
+				} else {
+
+					console.error( e );
+
+				}
+
+				scope.manager.itemError( url );
+
+			}
+
+		}, onProgress, onError );
+
+	}
+
+	// { delimiter, hasHeader, mapping: { x, y, z, r?, g?, b?, depth? } }, column indices; null = detect
+	setOptions( options ) {
+
+		this.options = options;
+		return this;
+
+	}
+
+	// [ x, y, z ] subtracted from absolute coordinates; null = chosen per file
+	setOrigin( origin ) {
+
+		this.origin = origin ? [ origin[ 0 ], origin[ 1 ], origin[ 2 ] ] : null;
+		return this;
+
+	}
+
+	parse( text ) {
+
+		const options = this.options || {};
+		const complete = options.delimiter != null && options.hasHeader != null && options.mapping != null;
+		const { delimiter, hasHeader, mapping } = complete ? options : { ...sniffDelimited( text ), ...options };
+
+		if ( ! ( mapping.x >= 0 && mapping.y >= 0 && mapping.z >= 0 ) ) {
+
+			throw new Error( 'XYZLoader: X, Y and Z columns must be mapped' );
+
+		}
+
+		const withColor = mapping.r >= 0 && mapping.g >= 0 && mapping.b >= 0;
+		const withDepth = mapping.depth >= 0;
+
+		const lines = text.split( /\r\n|\r|\n/ );
+		const position = new Float32Array( lines.length * 3 );
+		const color = withColor ? new Float32Array( lines.length * 3 ) : null;
+		const depth = withDepth ? new Float32Array( lines.length ) : null;
+
+		let n = 0, skipped = 0, maxColor = 0;
+		let origin, shift = [ 0, 0, 0 ];
+
+		for ( let i = hasHeader ? firstDataLine( lines ) + 1 : 0; i < lines.length; i ++ ) {
+
+			const line = lines[ i ].trim();
+			if ( line === '' || line[ 0 ] === '#' ) continue;
+
+			const f = splitFields( line, delimiter );
+			const x = parseFloat( f[ mapping.x ] ), y = parseFloat( f[ mapping.y ] ), z = parseFloat( f[ mapping.z ] );
+
+			if ( ! Number.isFinite( x ) || ! Number.isFinite( y ) || ! Number.isFinite( z ) ) {
+
+				skipped ++;
+				continue;
+
+			}
+
+			if ( origin === undefined ) {
+
+				origin = resolveOrigin( this.origin, x, y, z );
+				if ( origin ) shift = origin;
+
+			}
+
+			position[ n * 3 ] = x - shift[ 0 ];
+			position[ n * 3 + 1 ] = y - shift[ 1 ];
+			position[ n * 3 + 2 ] = z - shift[ 2 ];
+
+			if ( color ) {
+
+				for ( let c = 0; c < 3; c ++ ) {
+
+					const v = parseFloat( f[ mapping[ 'rgb'[ c ] ] ] ) || 0;
+					color[ n * 3 + c ] = v;
+					if ( v > maxColor ) maxColor = v;
+
+				}
+
+			}
+
+			if ( depth ) depth[ n ] = parseFloat( f[ mapping.depth ] );
+
+			n ++;
+
+		}
+
+		if ( n === 0 ) throw new Error( 'XYZLoader: no valid x y z lines' );
+
+		const geometry = new BufferGeometry();
+		geometry.setAttribute( 'position', new BufferAttribute( position.slice( 0, n * 3 ), 3 ) );
+
+		if ( color ) {
+
+			const range = maxColor > 255 ? 65535 : ( maxColor > 1 ? 255 : 1 );
+
+			for ( let i3 = 0; i3 < n * 3; i3 += 3 ) {
+
+				_color.setRGB( color[ i3 ] / range, color[ i3 + 1 ] / range, color[ i3 + 2 ] / range ).convertSRGBToLinear();
+				color[ i3 ] = _color.r;
+				color[ i3 + 1 ] = _color.g;
+				color[ i3 + 2 ] = _color.b;
+
+			}
+
+			geometry.setAttribute( 'color', new BufferAttribute( color.slice( 0, n * 3 ), 3 ) );
+
+		}
+
+		if ( depth ) geometry.setAttribute( 'depth', new BufferAttribute( depth.slice( 0, n ), 1 ) );
+
+		geometry.userData.origin = origin;
+		geometry.userData.xyz = { delimiter, hasHeader, mapping: { ...mapping }, pointCount: n, skipped };
+		geometry.computeBoundingSphere();
+
+		return geometry;
+
+	}
+
+}
+
+// detect delimiter / header from the first lines; returns { delimiter, hasHeader, columns, rows, mapping }.
+// `force.delimiter` / `force.hasHeader` skip the detection of that part (column-mapping UI).
+function sniffDelimited( text, force = {} ) {
+
+	const lines = [];
+	for ( const raw of text.split( /\r\n|\r|\n/, SAMPLE_LINES * 4 ) ) {
+
+		const line = raw.trim();
+		if ( line !== '' && line[ 0 ] !== '#' ) lines.push( line );
+		if ( lines.length >= SAMPLE_LINES ) break;
+
+	}
+
+	if ( ! lines.length ) throw new Error( 'XYZLoader: file is empty' );
+
+	// the delimiter giving the same (largest) field count on most lines wins
+	let best = null;
+	for ( const delimiter of force.delimiter != null ? [ force.delimiter ] : DELIMITERS ) {
+
+		const counts = lines.map( ( l ) => splitFields( l, delimiter ).length );
+		const count = mode( counts );
+		const agree = counts.filter( ( c ) => c === count ).length;
+		if ( count >= 3 && ( ! best || agree > best.agree || ( agree === best.agree && count > best.count ) ) ) best = { delimiter, count, agree };
+
+	}
+
+	if ( ! best ) throw new Error( 'XYZLoader: could not find 3 or more columns' + ( force.delimiter != null ? ' with this delimiter' : '' ) );
+
+	const { delimiter, count } = best;
+	const first = splitLine( lines[ 0 ], delimiter );
+	const hasHeader = force.hasHeader ?? splitFields( lines[ 0 ], delimiter ).some( ( v ) => v !== '' && ! Number.isFinite( Number( v ) ) );
+
+	const columns = hasHeader
+		? first.map( ( v, i ) => v.replace( /^["']|["']$/g, '' ) || ( '列' + ( i + 1 ) ) )
+		: Array.from( { length: count }, ( _, i ) => '列' + ( i + 1 ) );
+
+	const rows = lines.slice( hasHeader ? 1 : 0, hasHeader ? 11 : 10 ).map( ( l ) => splitFields( l, delimiter ) );
+
+	return { delimiter, hasHeader, columns, rows, mapping: guessColumnMapping( hasHeader ? columns : null, count ) };
+
+}
+
+// mapping from header names; without a header: x y z [r g b], or x y z depth for 4 columns
+function guessColumnMapping( columns, count ) {
+
+	const mapping = {};
+	for ( const role of ROLES ) mapping[ role ] = - 1;
+
+	if ( columns ) {
+
+		const names = columns.map( ( c ) => c.trim().toLowerCase() );
+		for ( const role of ROLES ) mapping[ role ] = names.findIndex( ( n, i ) => ROLE_NAMES[ role ].includes( n ) && ! Object.values( mapping ).includes( i ) );
+
+	}
+
+	if ( mapping.x < 0 || mapping.y < 0 || mapping.z < 0 ) {
+
+		for ( const role of ROLES ) mapping[ role ] = - 1;
+		Object.assign( mapping, { x: 0, y: 1, z: 2 } );
+		if ( count >= 6 ) Object.assign( mapping, { r: 3, g: 4, b: 5 } );
+		else if ( count === 4 ) mapping.depth = 3;
+
+	}
+
+	return mapping;
+
+}
+
+// header row: exactly the delimiter (column names may contain spaces)
+function splitLine( line, delimiter ) {
+
+	if ( delimiter === ' ' ) return line.split( /[ \t]+/ );
+	return line.split( delimiter ).map( ( v ) => v.trim() );
+
+}
+
+// data row: whitespace-delimited files accept commas as well, other delimiters are exact
+function splitFields( line, delimiter ) {
+
+	if ( MIXED_SEPARATORS[ delimiter ] ) return line.split( MIXED_SEPARATORS[ delimiter ] );
+	return splitLine( line, delimiter );
+
+}
+
+function firstDataLine( lines ) {
+
+	return lines.findIndex( ( l ) => l.trim() !== '' && l.trim()[ 0 ] !== '#' );
+
+}
+
+function mode( values ) {
+
+	const freq = new Map();
+	let best = values[ 0 ], bestCount = 0;
+	for ( const v of values ) {
+
+		const c = ( freq.get( v ) || 0 ) + 1;
+		freq.set( v, c );
+		if ( c > bestCount ) {
+
+			best = v;
+			bestCount = c;
+
+		}
+
+	}
+
+	return best;
+
+}
+
+export { XYZLoader, sniffDelimited, guessColumnMapping };
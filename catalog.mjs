@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+/**
+ * index.json 场景目录：校验 / 生成
+ *
+ * 用法（在仓库根目录执行）：
+ *   node catalog.mjs check              校验 index.json 与 data/ 下的文件，有错误时退出码为 1
+ *   node catalog.mjs build              扫描 data/<bridgeId>/<date>/ 生成 index.json，输出到 stdout
+ *   node catalog.mjs build --write      生成后直接写回 index.json（已有的桥名、场景字段会保留）
+ *
+ * 选项：
+ *   --root <dir>     仓库根目录（默认：本脚本所在目录）
+ *   --index <file>   目录文件（默认：<root>/index.json）
+ *
+ * 清单格式见 SceneManifest.js。
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCRS, parseVerticalDatum } from './GeoCRS.js';
+import { parseCoordTransform, parseXYZLines, parseSonarList, siblingUrl } from './SceneManifest.js';
+import { pathLength, principalOrder, isZigZag } from './ProfileSection.js';
+import { parseMonitors } from './ScourMonitor.js';
+
+/* ========= 参数 ========= */
+
+function parseArgs(argv){
+  const opts = { cmd: argv[0] || 'check', root: path.dirname(fileURLToPath(import.meta.url)), index: null, write: false };
+  for(let i = 1; i < argv.length; i++){
+    const a = argv[i];
+    if(a === '--root') opts.root = path.resolve(argv[++i]);
+    else if(a === '--index') opts.index = path.resolve(argv[++i]);
+    else if(a === '--write') opts.write = true;
+    else throw new Error('未知参数：' + a);
+  }
+  if(!opts.index) opts.index = path.join(opts.root, 'index.json');
+  return opts;
+}
+
+/* ========= 文件解析（与 viewer 的解析规则保持一致） ========= */
+
+// "x,y,z"（也接受空白分隔）
+function parseXYZ(text){
+  const parts = String(text || '').trim().split(/[,\s]+/).filter(Boolean);
+  if(parts.length < 3) return null;
+  const v = parts.slice(0, 3).map(Number);
+  return v.every(Number.isFinite) ? v : null;
+}
+
+const PLY_TYPES = new Set([
+  'char', 'uchar', 'short', 'ushort', 'int', 'uint', 'float', 'double',
+  'int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'float32', 'float64',
+]);
+const PLY_TYPE_SIZE = {
+  char: 1, uchar: 1, int8: 1, uint8: 1, short: 2, ushort: 2, int16: 2, uint16: 2,
+  int: 4, uint: 4, int32: 4, uint32: 4, float: 4, float32: 4, double: 8, float64: 8,
+};
+
+// 读 PLY 头，按 PLYLoader 的解析方式检查它会不会出错；返回问题列表
+function checkPlyHeader(file){
+  const problems = [];
+  const fd = fs.openSync(file, 'r');
+  let head;
+  try{
+    const buf = Buffer.alloc(Math.min(65536, fs.fstatSync(fd).size));
+    fs.readSync(fd, buf, 0, buf.length, 0);
+    head = buf.toString('latin1');
+  }finally{
+    fs.closeSync(fd);
+  }
+
+  const m = /^ply\r?\n([\s\S]*?)end_header(\r\n|\r|\n)/.exec(head);
+  if(!m){
+    problems.push(head.startsWith('ply') ? '缺少 end_header（或头部超过 64KB）' : '不是 PLY 文件（首行不是 ply）');
+    return problems;
+  }
+
+  let format = null, current = null;
+  const elements = [];
+  for(const raw of m[1].split(/\r\n|\r|\n/)){
+    const line = raw.trim();
+    if(!line) continue;
+    const [type, ...v] = line.split(/\s+/);
+    if(type === 'format'){
+      format = v[0];
+    }else if(type === 'element'){
+      current = { name: v[0], count: parseInt(v[1]), props: [] };
+      if(!Number.isFinite(current.count) || current.count < 0) problems.push(`element ${v[0]} 数量无效：${v[1]}`);
+      elements.push(current);
+    }else if(type === 'property'){
+      if(!current){ problems.push('property 出现在任何 element 之前'); continue; }
+      const prop = v[0] === 'list'
+        ? { list: true, countType: v[1], itemType: v[2], name: v[3] }
+        : { type: v[0], name: v[1] };
+      for(const t of prop.list ? [prop.countType, prop.itemType] : [prop.type]){
+        if(!PLY_TYPES.has(t)) problems.push(`element ${current.name} 的属性 ${prop.name} 类型未知：${t}`);
+      }
+      current.props.push(prop);
+    }else if(type !== 'comment' && type !== 'obj_info'){
+      problems.push('无法识别的头部行：' + line);
+    }
+  }
+
+  if(!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)){
+    problems.push('format 无效：' + format);
+  }
+  const vertex = elements.find(e => e.name === 'vertex');
+  if(!vertex){
+    problems.push('没有 vertex 元素');
+  }else{
+    const names = vertex.props.map(p => p.name);
+    for(const k of ['x', 'y', 'z']) if(!names.includes(k)) problems.push('vertex 缺少属性 ' + k);
+  }
+
+  // 二进制且不含 list 属性时，可以核对文件长度
+  if(format && format.startsWith('binary') && !problems.length && elements.every(e => e.props.every(p => !p.list))){
+    const body = elements.reduce((n, e) => n + e.count * e.props.reduce((s, p) => s + PLY_TYPE_SIZE[p.type], 0), 0);
+    const size = fs.statSync(file).size - Buffer.byteLength(m[0], 'latin1');
+    if(size < body) problems.push(`文件被截断：数据区应为 ${body} 字节，实际 ${size} 字节`);
+  }
+
+  return problems;
+}
+
+// 读 LAS/LAZ 公共头，检查签名、点格式和文件长度（LAZ 只能查头部）
+function checkLasHeader(file){
+  const problems = [];
+  const fd = fs.openSync(file, 'r');
+  let head, size;
+  try{
+    size = fs.fstatSync(fd).size;
+    head = Buffer.alloc(Math.min(375, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+  }finally{
+    fs.closeSync(fd);
+  }
+
+  if(head.length < 227 || head.toString('latin1', 0, 4) !== 'LASF'){
+    problems.push('不是 LAS 文件（缺少 LASF 签名或头部不完整）');
+    return problems;
+  }
+
+  const minor = head.readUInt8(25);
+  const formatByte = head.readUInt8(104);
+  const format = formatByte & 0x3f;
+  const recordLength = head.readUInt16LE(105);
+  const pointOffset = head.readUInt32LE(96);
+  let count = head.readUInt32LE(107);
+  if(minor >= 4 && head.length >= 255 && head.readUInt16LE(94) >= 375) count = Number(head.readBigUInt64LE(247)) || count;
+
+  if(format > 10) problems.push('不支持的点格式：' + format);
+  if(!(formatByte & 0x80) && pointOffset + count * recordLength > size){
+    problems.push(`文件被截断：应有 ${count} 个点，实际只够 ${Math.floor((size - pointOffset) / recordLength)} 个`);
+  }
+  return problems;
+}
+
+/* ========= 校验 ========= */
+
+function createIssues(){
+  const list = [];
+  return {
+    list,
+    error(where, msg){ list.push({ level: 'error', where, msg }); },
+    warn(where, msg){ list.push({ level: 'warn', where, msg }); },
+    get errorCount(){ return list.filter(it => it.level === 'error').length; },
+  };
+}
+
+// 与 LocalOrigin.js 的 parseOrigin 一致：三个有限数
+function isOrigin(v){
+  const a = Array.isArray(v) ? v : typeof v === 'string' ? v.split(/[,\s]+/).filter(Boolean) : null;
+  return !!a && a.length === 3 && a.map(Number).every(Number.isFinite);
+}
+
+// crs / verticalDatum 用 GeoCRS.js 同一套解析，viewer 里能用的这里才算对
+function checkGeoRef(obj, where, issues){
+  if(obj.crs !== undefined){
+    try{ parseCRS(obj.crs); }catch(e){ issues.error(where, 'crs：' + e.message); }
+  }
+  if(obj.verticalDatum !== undefined){
+    try{ parseVerticalDatum(obj.verticalDatum); }catch(e){ issues.error(where, 'verticalDatum：' + e.message); }
+  }
+}
+
+// 冲刷监测点：直接写在桥梁条目上，或写一个 JSON 文件的路径（格式见 ScourMonitor.js）
+function checkMonitors(root, b, issues){
+  if(b.monitors === undefined) return;
+  const where = 'bridge ' + b.id;
+  let spec = b.monitors;
+  if(typeof spec === 'string'){
+    const f = urlToFile(root, spec);
+    if(!fs.existsSync(f)){ issues.error(where, '监测点文件不存在：' + spec); return; }
+    try{ spec = JSON.parse(fs.readFileSync(f, 'utf8')); }
+    catch(e){ issues.error(where, `监测点文件 JSON 格式错误：${spec}（${e.message}）`); return; }
+  }
+  try{
+    if(!parseMonitors(spec).length) issues.warn(where, 'monitors 里没有监测点');
+  }catch(e){
+    issues.error(where, 'monitors：' + e.message);
+  }
+}
+
+function urlToFile(root, url){
+  return path.join(root, decodeURI(String(url).split('?')[0].split('#')[0]));
+}
+
+function checkIndex(root, index, issues){
+  const bridges = Array.isArray(index.bridges) ? index.bridges : [];
+  const scenes = Array.isArray(index.scenes) ? index.scenes : [];
+  if(!Array.isArray(index.bridges)) issues.error('index.json', '缺少 bridges 数组');
+  if(!Array.isArray(index.scenes)) issues.error('index.json', '缺少 scenes 数组');
+
+  const bridgeIds = new Set();
+  for(const b of bridges){
+    if(!b.id) issues.error('bridges', '桥梁缺少 id：' + JSON.stringify(b));
+    else if(bridgeIds.has(b.id)) issues.error('bridges', '桥梁 id 重复：' + b.id);
+    bridgeIds.add(b.id);
+    if(b.origin !== undefined && !isOrigin(b.origin)) issues.error('bridge ' + b.id, 'origin 应为 [x,y,z] 数组：' + JSON.stringify(b.origin));
+    checkGeoRef(b, 'bridge ' + b.id, issues);
+    checkMonitors(root, b, issues);
+  }
+
+  const sceneIds = new Set();
+  for(const s of scenes){
+    const where = 'scene ' + (s.id || '?');
+    if(!s.id) issues.error(where, '场景缺少 id');
+    else if(sceneIds.has(s.id)) issues.error(where, '场景 id 重复');
+    sceneIds.add(s.id);
+    if(!bridgeIds.has(s.bridgeId)) issues.error(where, '未知的 bridgeId：' + s.bridgeId);
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(s.date || '')) issues.error(where, '日期格式应为 YYYY-MM-DD：' + s.date);
+    checkSceneFiles(root, s, where, issues);
+  }
+
+  // data/ 下有目录但 index.json 没收录
+  const listed = new Set(scenes.map(s => s.bridgeId + '/' + s.date));
+  for(const { bridgeId, date } of walkData(root)){
+    if(!listed.has(bridgeId + '/' + date)) issues.warn(`data/${bridgeId}/${date}`, '目录未收录到 index.json');
+  }
+}
+
+function checkSceneFiles(root, s, where, issues){
+  const a = s.assets || {};
+
+  const exists = (url, kind) => {
+    const f = urlToFile(root, url);
+    if(!fs.existsSync(f)){ issues.error(where, `${kind}不存在：${url}`); return null; }
+    return f;
+  };
+  const checkPly = (url, kind) => {
+    const f = exists(url, kind);
+    if(!f || /\.(xyz|txt|csv|pts)$/i.test(f)) return; // 文本点云的列在 viewer 里映射，这里只查存在
+    for(const p of (/\.la[sz]$/i.test(f) ? checkLasHeader(f) : checkPlyHeader(f))) issues.error(where, `${kind} ${url}：${p}`);
+  };
+  const checkXYZ = (url, kind) => {
+    const f = exists(url, kind);
+    if(f && !parseXYZ(fs.readFileSync(f, 'utf8'))) issues.error(where, `${kind}无法解析为 x,y,z：${url}`);
+  };
+
+  if(a.origin !== undefined && !isOrigin(a.origin)) issues.error(where, 'origin 应为 [x,y,z] 数组：' + JSON.stringify(a.origin));
+  checkGeoRef(a, where, issues);
+
+  if(!s.plyUrl) issues.error(where, '缺少 plyUrl');
+  else checkPly(s.plyUrl, '点云');
+  if(a.bedPlyUrl) checkPly(a.bedPlyUrl, '河床点云');
+  for(const it of a.extraPlys || []) checkPly(it.url, '附加模型');
+
+  if(a.octree){
+    const f = exists(a.octree, '八叉树');
+    if(f){
+      try{
+        const meta = JSON.parse(fs.readFileSync(f, 'utf8'));
+        const dir = path.dirname(f);
+        const lost = (meta.nodes || []).filter(nd => !fs.existsSync(path.join(dir, nd.name + '.ply')));
+        if(meta.version !== 1) issues.error(where, `八叉树版本不支持（${meta.version}）：${a.octree}`);
+        if(lost.length) issues.error(where, `八叉树缺少 ${lost.length} 个节点文件（如 ${lost[0].name}.ply）：${a.octree}`);
+      }catch(_){
+        issues.error(where, '八叉树 JSON 格式错误：' + a.octree);
+      }
+    }
+  }
+
+  if(a.coordOffset){
+    const f = exists(a.coordOffset, '坐标转换');
+    if(f && !parseCoordTransform(fs.readFileSync(f, 'utf8'))) issues.error(where, '坐标转换应为 Δx,Δy,Δz、七参数或 4×4 矩阵：' + a.coordOffset);
+  }
+  const checkCoverage = (it, label) => {
+    for(const key of ['heading', 'range', 'aperture']){
+      if(it[key] != null && !Number.isFinite(it[key])) issues.error(where, `${label} ${key} 应为数值`);
+    }
+    if(it.range != null && !(it.range > 0)) issues.error(where, `${label} range 应大于 0`);
+    if(it.aperture != null && !(it.aperture > 0 && it.aperture <= 360)) issues.error(where, `${label} aperture 应在 (0, 360] 度内`);
+    if(it.aperture != null && it.aperture < 360 && it.heading == null) issues.warn(where, `${label} 有 aperture 但没有 heading，按球显示`);
+    if(it.cloud) checkPly(it.cloud, `${label} 子点云`);
+  };
+  for(const it of a.sonars || []){
+    checkXYZ(it.url, '声纳坐标');
+    checkCoverage(it, '声纳 ' + (it.name || it.url));
+  }
+  if(a.sonarList){
+    const f = exists(a.sonarList, '声纳站清单');
+    if(f){
+      const { stations, skipped } = parseSonarList(fs.readFileSync(f, 'utf8'));
+      if(!stations.length) issues.error(where, '声纳站清单没有可用的 名称,x,y,z 行：' + a.sonarList);
+      else if(skipped) issues.warn(where, `声纳站清单有 ${skipped} 行无法解析：${a.sonarList}`);
+      for(const st of stations) checkCoverage({ ...st, cloud: st.cloud && siblingUrl(a.sonarList, st.cloud) }, '声纳 ' + st.name);
+    }
+  }
+
+  for(const it of a.lineScans || []){
+    if(it.order != null && it.order !== 'file' && it.order !== 'principal') issues.error(where, `线扫 order 只能是 "file" 或 "principal"：${it.url}`);
+    if(it.color != null && !/^#[0-9a-f]{6}$/i.test(it.color)) issues.error(where, `线扫 color 应为 #rrggbb：${it.url}`);
+    const f = exists(it.url, '线扫');
+    if(!f) continue;
+    const text = fs.readFileSync(f, 'utf8');
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const bad = lines.filter(l => !parseXYZ(l)).length;
+    if(!lines.length || bad === lines.length) issues.error(where, '线扫没有可用的 x y z 行：' + it.url);
+    else if(bad) issues.warn(where, `线扫有 ${bad} 行无法解析：${it.url}`);
+
+    // 行序打乱的线扫按文件顺序连出来是锯齿；单条测线可改按主方向排序
+    const pts = parseXYZLines(text);
+    if(it.order !== 'principal' && pts.length > 2 && isZigZag(pts)){
+      const sorted = pathLength(principalOrder(pts).map(i => pts[i]));
+      issues.warn(where, `线扫行序不沿测线（按文件顺序连线 ${pathLength(pts).toFixed(1)} m，按主方向排序 ${sorted.toFixed(1)} m），单条测线可设 "order": "principal"：${it.url}`);
+    }
+  }
+
+  if(a.legend){
+    const f = exists(a.legend, '图例');
+    if(f){
+      let j = null;
+      try{ j = JSON.parse(fs.readFileSync(f, 'utf8')); }catch(_){ issues.error(where, '图例 JSON 格式错误：' + a.legend); }
+      const l = j && (j.legend || j);
+      if(l){
+        if(!Number.isFinite(l.min) || !Number.isFinite(l.max)) issues.error(where, '图例缺少数值 min/max：' + a.legend);
+        else if(l.min > l.max) issues.warn(where, `图例 min(${l.min}) 大于 max(${l.max})：${a.legend}`);
+        if(!Array.isArray(l.stops) || !l.stops.length) issues.error(where, '图例缺少 stops：' + a.legend);
+      }
+    }
+  }
+}
+
+/* ========= 生成 ========= */
+
+function* walkData(root){
+  const dataDir = path.join(root, 'data');
+  if(!fs.existsSync(dataDir)) return;
+  for(const bridgeId of fs.readdirSync(dataDir).sort()){
+    const bdir = path.join(dataDir, bridgeId);
+    if(!fs.statSync(bdir).isDirectory()) continue;
+    for(const date of fs.readdirSync(bdir).sort()){
+      const dir = path.join(bdir, date);
+      if(fs.statSync(dir).isDirectory() && /^\d{4}-\d{2}-\d{2}$/.test(date)) yield { bridgeId, date, dir };
+    }
+  }
+}
+
+// 按目录内容推出场景清单（文件名约定与历史数据一致）
+function sceneFromDir(bridgeId, date, dir){
+  const base = `./data/${bridgeId}/${date}/`;
+  const files = fs.readdirSync(dir).sort();
+  const has = (n) => files.includes(n);
+  const assets = {};
+
+  if(has('cloud2.ply')) assets.bedPlyUrl = base + 'cloud2.ply';
+
+  const offset = files.find(f => /^zuobiaozhuanhuan(\.txt)?$/i.test(f));
+  if(offset) assets.coordOffset = base + offset;
+
+  if(fs.existsSync(path.join(dir, 'cloud.octree', 'octree.json'))) assets.octree = base + 'cloud.octree/octree.json';
+
+  const legend = has('cloud.legend.json') ? 'cloud.legend.json' : files.find(f => /\.legend\.json$/i.test(f));
+  if(legend) assets.legend = base + legend;
+
+  // 声纳子点云：文件名以 shengna<N>.ply 结尾（如 qyjshengna1.ply）的归到声纳 N，不再算附加模型
+  const sonarClouds = new Map();
+  for(const f of files){
+    const m = /shengna(\d+)\.ply$/i.exec(f);
+    if(m && !sonarClouds.has(+m[1])) sonarClouds.set(+m[1], f);
+  }
+
+  const sonars = files
+    .map(f => ({ f, m: /^shengna(\d+)(\.txt)?$/i.exec(f) }))
+    .filter(it => it.m)
+    .sort((a, b) => a.m[1] - b.m[1])
+    .map(({ f, m }) => {
+      const it = { key: 'shengna' + m[1], name: '声纳' + m[1], url: base + f };
+      if(sonarClouds.has(+m[1])) it.cloud = base + sonarClouds.get(+m[1]);
+      return it;
+    });
+  if(sonars.length) assets.sonars = sonars;
+  const usedClouds = new Set(sonars.map(it => it.cloud).filter(Boolean));
+  if(has('sonars.csv')) assets.sonarList = base + 'sonars.csv';
+
+  const lineScans = files.filter(f => /^xiansao.*\.txt$/i.test(f)).map(f => ({ name: f.replace(/\.txt$/i, ''), url: base + f }));
+  if(lineScans.length) assets.lineScans = lineScans;
+
+  const extraPlys = files.filter(f => /\.ply$/i.test(f) && f !== 'cloud.ply' && f !== 'cloud2.ply' && !usedClouds.has(base + f)).map(f => ({ name: f.replace(/\.ply$/i, ''), url: base + f }));
+  if(extraPlys.length) assets.extraPlys = extraPlys;
+
+  // 全量点云：cloud.ply，没有时用 cloud.las / cloud.laz
+  const cloud = ['cloud.ply', 'cloud.las', 'cloud.laz'].find(has) || 'cloud.ply';
+
+  return {
+    id: `${bridgeId}_${date.replace(/-/g, '')}`,
+    bridgeId,
+    date,
+    plyUrl: base + cloud,
+    assets,
+  };
+}
+
+// 声纳、线扫、附加模型按 url 保留手写的字段（name、color、order 等）
+function keepItemFields(prev = {}, assets){
+  for(const key of ['sonars', 'lineScans', 'extraPlys']){
+    for(const it of assets[key] || []){
+      const p = (prev[key] || []).find(q => q.url === it.url);
+      if(p) Object.assign(it, p);
+    }
+  }
+  return assets;
+}
+
+// 以现有 index.json 为底：已有条目保留其它字段，assets 以磁盘为准；新目录追加
+function buildIndex(root, prev){
+  const bridges = (prev.bridges || []).map(b => ({ ...b }));
+  const scenes = (prev.scenes || []).map(s => ({ ...s }));
+
+  for(const { bridgeId, date, dir } of walkData(root)){
+    if(!bridges.some(b => b.id === bridgeId)) bridges.push({ id: bridgeId, name: bridgeId });
+    const gen = sceneFromDir(bridgeId, date, dir);
+    const old = scenes.find(s => s.bridgeId === bridgeId && s.date === date);
+    if(old) Object.assign(old, { plyUrl: old.plyUrl || gen.plyUrl, assets: keepItemFields(old.assets, gen.assets) });
+    else scenes.push(gen);
+  }
+
+  const order = new Map(bridges.map((b, i) => [b.id, i]));
+  scenes.sort((a, b) => (order.get(a.bridgeId) - order.get(b.bridgeId)) || a.date.localeCompare(b.date));
+  return { ...prev, bridges, scenes };
+}
+
+/* ========= 入口 ========= */
+
+function readIndex(file){
+  if(!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main(){
+  const opts = parseArgs(process.argv.slice(2));
+
+  if(opts.cmd === 'check'){
+    const issues = createIssues();
+    let index;
+    try{
+      index = JSON.parse(fs.readFileSync(opts.index, 'utf8'));
+    }catch(e){
+      console.error('无法读取 ' + opts.index + '：' + e.message);
+      process.exit(1);
+    }
+    checkIndex(opts.root, index, issues);
+    for(const it of issues.list){
+      console.log(`${it.level === 'error' ? '错误' : '警告'}  ${it.where}  ${it.msg}`);
+    }
+    console.log(`\n${issues.errorCount} 个错误，${issues.list.length - issues.errorCount} 个警告`);
+    process.exit(issues.errorCount ? 1 : 0);
+  }
+
+  if(opts.cmd === 'build'){
+    const out = JSON.stringify(buildIndex(opts.root, readIndex(opts.index)), null, 2) + '\n';
+    if(opts.write){
+      fs.writeFileSync(opts.index, out);
+      console.error('已写入 ' + opts.index);
+    }else{
+      process.stdout.write(out);
+    }
+    return;
+  }
+
+  console.error('用法：node catalog.mjs check | build [--write] [--root <dir>] [--index <file>]');
+  process.exit(2);
+}
+
+main();
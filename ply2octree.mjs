@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * PLY → 八叉树分块（Potree 风格 LOD），供 viewer 按屏幕误差/点预算分块加载（见 PointOctree.js）
+ *
+ * 用法：
+ *   node ply2octree.mjs <input.ply> [outDir] [--grid 128] [--leaf 20000] [--depth 12]
+ *
+ *   outDir     输出目录（默认：与输入同名的 .octree 目录，如 cloud.ply → cloud.octree/）
+ *   --grid     每个节点的采样网格分辨率；节点点间距 = 节点边长 / grid
+ *   --leaf     点数不超过该值的节点不再细分
+ *   --depth    最大层级（根为 0）
+ *
+ * 输出：
+ *   octree.json   { version, pointCount, hasColor, grid, spacing, origin, box:[minx,miny,minz,maxx,maxy,maxz], nodes:[{name,count}] }
+ *                 绝对坐标的点云先减去 origin（见 LocalOrigin.js）再分块，box 与节点里都是本地坐标；本来就是本地坐标时 origin 为 null
+ *   r.ply, r0.ply, r03.ply …   每个节点一个 binary_little_endian 纯顶点 PLY（x y z [red green blue]）
+ *
+ * 节点命名：r 为根，后面每一位是子节点序号 (x<<2)|(y<<1)|z；节点包围盒可由名字推出。
+ * 每个节点保存“在它的网格里第一个落进空格子”的点，其余点下放到子节点，
+ * 所以父节点 + 子节点合起来才是完整点云（加性细化）。
+ *
+ * 整个文件读入内存解析，适合几千万点以内的单个 PLY。
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parsePLY } from './PLYWorker.js';
+
+function parseArgs(argv){
+  const opts = { input: null, out: null, grid: 128, leaf: 20000, depth: 12 };
+  const rest = [];
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(a === '--grid') opts.grid = parseInt(argv[++i]);
+    else if(a === '--leaf') opts.leaf = parseInt(argv[++i]);
+    else if(a === '--depth') opts.depth = parseInt(argv[++i]);
+    else if(a.startsWith('--')) throw new Error('未知参数：' + a);
+    else rest.push(a);
+  }
+  opts.input = rest[0];
+  opts.out = rest[1] || (opts.input && opts.input.replace(/\.ply$/i, '') + '.octree');
+  if(!opts.input) throw new Error('用法：node ply2octree.mjs <input.ply> [outDir] [--grid 128] [--leaf 20000] [--depth 12]');
+  for(const k of ['grid', 'leaf', 'depth']){
+    if(!(opts[k] > 0)) throw new Error(`--${k} 必须为正整数`);
+  }
+  return opts;
+}
+
+// 线性 → sRGB uchar（PLYWorker 输出的是线性颜色）
+function linearToSRGBByte(c){
+  const s = (c < 0.0031308) ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055;
+  return Math.max(0, Math.min(255, Math.round(s * 255)));
+}
+
+// 外包立方体（八叉树节点都是立方体，点间距各向一致）
+function cubeBox(position){
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for(let i = 0; i < position.length; i += 3){
+    for(let c = 0; c < 3; c++){
+      const v = position[i + c];
+      if(v < min[c]) min[c] = v;
+      if(v > max[c]) max[c] = v;
+    }
+  }
+  const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+  return [min[0], min[1], min[2], min[0] + size, min[1] + size, min[2] + size];
+}
+
+function childBox(box, octant){
+  const h = (box[3] - box[0]) / 2;
+  const x = (octant >> 2) & 1, y = (octant >> 1) & 1, z = octant & 1;
+  const minx = box[0] + x * h, miny = box[1] + y * h, minz = box[2] + z * h;
+  return [minx, miny, minz, minx + h, miny + h, minz + h];
+}
+
+// 递归建树；ids 为落在该节点内的点序号
+function buildNode(name, level, box, ids, ctx){
+  const node = { name, count: 0, ids: null };
+  ctx.nodes.push(node);
+
+  if(ids.length <= ctx.leaf || level >= ctx.depth){
+    node.ids = ids;
+    node.count = ids.length;
+    return;
+  }
+
+  const { grid, position } = ctx;
+  const size = box[3] - box[0];
+  const cell = size / grid;
+  const half = size / 2;
+  const occupied = new Set();
+  const kept = [];
+  const buckets = Array.from({ length: 8 }, () => []);
+
+  for(let k = 0; k < ids.length; k++){
+    const i = ids[k], i3 = i * 3;
+    const dx = position[i3] - box[0], dy = position[i3 + 1] - box[1], dz = position[i3 + 2] - box[2];
+    const gx = Math.min(grid - 1, Math.floor(dx / cell));
+    const gy = Math.min(grid - 1, Math.floor(dy / cell));
+    const gz = Math.min(grid - 1, Math.floor(dz / cell));
+    const key = (gx * grid + gy) * grid + gz;
+    if(!occupied.has(key)){
+      occupied.add(key);
+      kept.push(i);
+    }else{
+      const octant = ((dx >= half) << 2) | ((dy >= half) << 1) | (dz >= half);
+      buckets[octant].push(i);
+    }
+  }
+
+  node.ids = Uint32Array.from(kept);
+  node.count = kept.length;
+
+  for(let o = 0; o < 8; o++){
+    if(buckets[o].length) buildNode(name + o, level + 1, childBox(box, o), Uint32Array.from(buckets[o]), ctx);
+  }
+}
+
+function writeNodePly(file, ids, position, color){
+  const stride = color ? 15 : 12;
+  const header =
+    'ply\nformat binary_little_endian 1.0\n' +
+    `element vertex ${ids.length}\n` +
+    'property float x\nproperty float y\nproperty float z\n' +
+    (color ? 'property uchar red\nproperty uchar green\nproperty uchar blue\n' : '') +
+    'end_header\n';
+  const body = Buffer.alloc(ids.length * stride);
+  for(let k = 0; k < ids.length; k++){
+    const i3 = ids[k] * 3, at = k * stride;
+    body.writeFloatLE(position[i3], at);
+    body.writeFloatLE(position[i3 + 1], at + 4);
+    body.writeFloatLE(position[i3 + 2], at + 8);
+    if(color){
+      body[at + 12] = linearToSRGBByte(color[i3]);
+      body[at + 13] = linearToSRGBByte(color[i3 + 1]);
+      body[at + 14] = linearToSRGBByte(color[i3 + 2]);
+    }
+  }
+  fs.writeFileSync(file, Buffer.concat([Buffer.from(header, 'latin1'), body]));
+}
+
+function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  const buf = fs.readFileSync(opts.input);
+  const { position, color, origin } = parsePLY(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  const n = position.length / 3;
+  if(!n) throw new Error('点云为空：' + opts.input);
+
+  const box = cubeBox(position);
+  const ctx = { grid: opts.grid, leaf: opts.leaf, depth: opts.depth, position, nodes: [] };
+  const all = new Uint32Array(n);
+  for(let i = 0; i < n; i++) all[i] = i;
+  buildNode('r', 0, box, all, ctx);
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  for(const node of ctx.nodes) writeNodePly(path.join(opts.out, node.name + '.ply'), node.ids, position, color);
+
+  const meta = {
+    version: 1,
+    pointCount: n,
+    hasColor: !!color,
+    grid: opts.grid,
+    spacing: (box[3] - box[0]) / opts.grid,
+    origin,
+    box,
+    nodes: ctx.nodes.map(nd => ({ name: nd.name, count: nd.count })),
+  };
+  fs.writeFileSync(path.join(opts.out, 'octree.json'), JSON.stringify(meta, null, 2) + '\n');
+
+  const depth = Math.max(...ctx.nodes.map(nd => nd.name.length - 1));
+  console.log(`${n} 点 → ${ctx.nodes.length} 个节点，最大层级 ${depth}，输出 ${opts.out}`);
+}
+
+try{
+  main();
+}catch(e){
+  console.error(e.message);
+  process.exit(1);
+}